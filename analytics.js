@@ -0,0 +1,428 @@
+// Graph analytics over the relationships graph, treated as undirected:
+// degree, betweenness and closeness centrality, PageRank and connected
+// components (unweighted), Louvain community detection and recommendations
+// (weighted). Results are cached per workspace and user (recommendations
+// follow the user's ratings) until the next journaled change.
+const db = require('./database');
+
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_MAX_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-9;
+const LOUVAIN_MAX_LEVELS = 20;
+const LOUVAIN_MAX_PASSES = 100;
+// Ratings at or above this count as "rated highly" in explanations
+const HIGH_RATING = 8;
+// Preference given to explored artists that have no rating
+const UNRATED_PREFERENCE = 5;
+
+const cache = new Map();
+
+// Return compute()'s result for the current workspace and user, reusing the
+// last one until the journal revision changes. Shared results don't depend on
+// the user and are computed once for everyone in the workspace.
+function cached(key, compute, { shared = false } = {}) {
+  const version = db.getRevision();
+  const scope = shared ? db.getCurrentWorkspaceId() : `${db.getCurrentWorkspaceId()}:${db.getCurrentUserId()}`;
+  const scopedKey = `${scope}:${key}`;
+  const entry = cache.get(scopedKey);
+  if (entry && entry.version === version) {
+    return entry.result;
+  }
+
+  const result = compute();
+  cache.set(scopedKey, { version, result });
+  return result;
+}
+
+// Label connected components, numbered from the largest (0) down
+function computeComponents(ids, adjacency) {
+  const groups = [];
+  const seen = new Set();
+
+  for (const id of ids) {
+    if (seen.has(id)) continue;
+
+    const members = [id];
+    seen.add(id);
+    for (let i = 0; i < members.length; i++) {
+      for (const neighbor of adjacency.get(members[i]) || []) {
+        if (!seen.has(neighbor)) {
+          seen.add(neighbor);
+          members.push(neighbor);
+        }
+      }
+    }
+    groups.push(members);
+  }
+
+  groups.sort((a, b) => b.length - a.length);
+
+  const componentOf = new Map();
+  groups.forEach((members, index) => members.forEach(id => componentOf.set(id, index)));
+  return { componentOf, sizes: groups.map(members => members.length) };
+}
+
+// Betweenness (Brandes' algorithm) and closeness from one BFS per artist.
+// Betweenness is normalized to 0-1; closeness uses the Wasserman-Faust
+// variant so artists in small components aren't ranked as central.
+function computePathMetrics(ids, adjacency) {
+  const n = ids.length;
+  const betweenness = new Map(ids.map(id => [id, 0]));
+  const closeness = new Map();
+
+  for (const source of ids) {
+    const stack = [];
+    const predecessors = new Map();
+    const paths = new Map([[source, 1]]);
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      stack.push(current);
+      for (const neighbor of adjacency.get(current) || []) {
+        if (!distance.has(neighbor)) {
+          distance.set(neighbor, distance.get(current) + 1);
+          queue.push(neighbor);
+        }
+        if (distance.get(neighbor) === distance.get(current) + 1) {
+          paths.set(neighbor, (paths.get(neighbor) || 0) + paths.get(current));
+          if (!predecessors.has(neighbor)) predecessors.set(neighbor, []);
+          predecessors.get(neighbor).push(current);
+        }
+      }
+    }
+
+    const reachable = distance.size - 1;
+    let total = 0;
+    for (const d of distance.values()) total += d;
+    closeness.set(source, total > 0 && n > 1 ? (reachable / total) * (reachable / (n - 1)) : 0);
+
+    const dependency = new Map();
+    while (stack.length > 0) {
+      const current = stack.pop();
+      for (const predecessor of predecessors.get(current) || []) {
+        const share = (paths.get(predecessor) / paths.get(current)) * (1 + (dependency.get(current) || 0));
+        dependency.set(predecessor, (dependency.get(predecessor) || 0) + share);
+      }
+      if (current !== source) {
+        betweenness.set(current, betweenness.get(current) + (dependency.get(current) || 0));
+      }
+    }
+  }
+
+  // Every pair was counted from both ends
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  for (const id of ids) {
+    betweenness.set(id, pairs > 0 ? betweenness.get(id) / 2 / pairs : 0);
+  }
+
+  return { betweenness, closeness };
+}
+
+// PageRank by power iteration; artists without connections spread their rank evenly
+function computePageRank(ids, adjacency) {
+  const n = ids.length;
+  let rank = new Map(ids.map(id => [id, 1 / n]));
+
+  for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS; iteration++) {
+    let dangling = 0;
+    for (const id of ids) {
+      if ((adjacency.get(id) || []).length === 0) dangling += rank.get(id);
+    }
+
+    const base = (1 - PAGERANK_DAMPING) / n + (PAGERANK_DAMPING * dangling) / n;
+    const next = new Map(ids.map(id => [id, base]));
+    for (const id of ids) {
+      const neighbors = adjacency.get(id) || [];
+      for (const neighbor of neighbors) {
+        next.set(neighbor, next.get(neighbor) + (PAGERANK_DAMPING * rank.get(id)) / neighbors.length);
+      }
+    }
+
+    let change = 0;
+    for (const id of ids) change += Math.abs(next.get(id) - rank.get(id));
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+
+  return rank;
+}
+
+// PageRank that restarts at the preferred artists (in proportion to their
+// preference) instead of anywhere, following edges in proportion to weight
+function computePersonalizedPageRank(ids, adjacency, preference) {
+  let totalPreference = 0;
+  for (const value of preference.values()) totalPreference += value;
+  const restart = new Map(ids.map(id => [id, (preference.get(id) || 0) / totalPreference]));
+  const strength = new Map(ids.map(id => {
+    let total = 0;
+    for (const weight of (adjacency.get(id) || new Map()).values()) total += weight;
+    return [id, total];
+  }));
+  let rank = new Map(restart);
+
+  for (let iteration = 0; iteration < PAGERANK_MAX_ITERATIONS; iteration++) {
+    let dangling = 0;
+    for (const id of ids) {
+      if (strength.get(id) === 0) dangling += rank.get(id);
+    }
+
+    const next = new Map(ids.map(id => [id, (1 - PAGERANK_DAMPING + PAGERANK_DAMPING * dangling) * restart.get(id)]));
+    for (const id of ids) {
+      if (strength.get(id) === 0) continue;
+      for (const [neighbor, weight] of adjacency.get(id)) {
+        next.set(neighbor, next.get(neighbor) + (PAGERANK_DAMPING * rank.get(id) * weight) / strength.get(id));
+      }
+    }
+
+    let change = 0;
+    for (const id of ids) change += Math.abs(next.get(id) - rank.get(id));
+    rank = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+
+  return rank;
+}
+
+// One Louvain level: move nodes to the neighboring community with the best
+// modularity gain until nothing moves. The graph maps node -> Map(neighbor ->
+// weight) and may contain self-loops (from aggregation).
+function louvainLevel(graph) {
+  const nodes = [...graph.keys()];
+  const degree = new Map();
+  let totalDegree = 0;
+
+  for (const node of nodes) {
+    let k = 0;
+    for (const [neighbor, weight] of graph.get(node)) {
+      k += neighbor === node ? 2 * weight : weight;
+    }
+    degree.set(node, k);
+    totalDegree += k;
+  }
+
+  const community = new Map(nodes.map(node => [node, node]));
+  const communityDegree = new Map(degree);
+  let moved = false;
+
+  if (totalDegree === 0) {
+    return { community, moved };
+  }
+
+  for (let pass = 0; pass < LOUVAIN_MAX_PASSES; pass++) {
+    let changed = false;
+
+    for (const node of nodes) {
+      const current = community.get(node);
+      const k = degree.get(node);
+
+      // Weight from this node into each neighboring community
+      const links = new Map();
+      for (const [neighbor, weight] of graph.get(node)) {
+        if (neighbor === node) continue;
+        const target = community.get(neighbor);
+        links.set(target, (links.get(target) || 0) + weight);
+      }
+
+      communityDegree.set(current, communityDegree.get(current) - k);
+      let best = current;
+      let bestGain = (links.get(current) || 0) - (communityDegree.get(current) * k) / totalDegree;
+      for (const [target, weight] of links) {
+        const gain = weight - (communityDegree.get(target) * k) / totalDegree;
+        if (gain > bestGain + 1e-12) {
+          best = target;
+          bestGain = gain;
+        }
+      }
+      communityDegree.set(best, communityDegree.get(best) + k);
+
+      if (best !== current) {
+        community.set(node, best);
+        changed = true;
+        moved = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return { community, moved };
+}
+
+// Collapse each community into one node; internal edges become a self-loop
+function aggregateCommunities(graph, community) {
+  const next = new Map();
+
+  for (const [node, neighbors] of graph) {
+    const from = community.get(node);
+    if (!next.has(from)) next.set(from, new Map());
+
+    for (const [neighbor, weight] of neighbors) {
+      const to = community.get(neighbor);
+      // Internal edges are listed from both ends, so each end carries half
+      const share = from === to && neighbor !== node ? weight / 2 : weight;
+      next.get(from).set(to, (next.get(from).get(to) || 0) + share);
+    }
+  }
+
+  return next;
+}
+
+// Louvain community detection; returns artist id -> community key
+function detectCommunities(ids, adjacency) {
+  let graph = new Map(ids.map(id => [id, new Map(adjacency.get(id) || [])]));
+  const membership = new Map(ids.map(id => [id, id]));
+
+  for (let level = 0; level < LOUVAIN_MAX_LEVELS; level++) {
+    const { community, moved } = louvainLevel(graph);
+    if (!moved) break;
+
+    for (const id of ids) {
+      membership.set(id, community.get(membership.get(id)));
+    }
+    graph = aggregateCommunities(graph, community);
+  }
+
+  return membership;
+}
+
+// Detect clusters, numbered from the largest (0) down, each labelled after
+// its highest-rated member (ties go to the better connected artist)
+function computeCommunities() {
+  const artists = db.getAllArtists().sort((a, b) => a.id - b.id);
+  const adjacency = db.getWeightedAdjacency();
+  // Membership only depends on the relationships; labels follow the user's ratings
+  const membership = cached('membership', () => detectCommunities(artists.map(artist => artist.id), adjacency), { shared: true });
+
+  const groups = new Map();
+  for (const artist of artists) {
+    const key = membership.get(artist.id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(artist);
+  }
+
+  const degree = artist => (adjacency.get(artist.id) || new Map()).size;
+  const clusters = [...groups.values()]
+    .sort((a, b) => b.length - a.length || a[0].id - b[0].id)
+    .map((members, id) => {
+      const anchor = members.reduce((best, artist) =>
+        (artist.rating || 0) > (best.rating || 0) ||
+        ((artist.rating || 0) === (best.rating || 0) && degree(artist) > degree(best)) ? artist : best);
+      return { id, label: anchor.name, anchorId: anchor.id, size: members.length, members };
+    });
+
+  const clusterOf = new Map();
+  for (const cluster of clusters) {
+    for (const artist of cluster.members) clusterOf.set(artist.id, cluster.id);
+  }
+
+  return {
+    clusterOf,
+    clusters: clusters.map(({ id, label, anchorId, size }) => ({ id, label, anchorId, size }))
+  };
+}
+
+// Get clusters, recomputing only if anything was written since the last call
+function getCommunities() {
+  return cached('communities', computeCommunities);
+}
+
+// Explain a recommendation from the explored artists it is directly connected to
+function explainRecommendation(neighbors) {
+  const highlyRated = neighbors.filter(artist => artist.rating >= HIGH_RATING);
+  const plural = count => (count === 1 ? 'artist' : 'artists');
+
+  if (highlyRated.length > 0) {
+    return `Connected to ${highlyRated.length} ${plural(highlyRated.length)} you rated ${HIGH_RATING}+`;
+  }
+  if (neighbors.length > 0) {
+    return `Connected to ${neighbors.length} explored ${plural(neighbors.length)}`;
+  }
+  return 'Close to artists you explored';
+}
+
+// Rank unexplored artists by personalized PageRank seeded with the explored
+// artists, each weighted by its rating
+function computeRecommendations() {
+  const artists = db.getAllArtists();
+  const ids = artists.map(artist => artist.id);
+  const byId = new Map(artists.map(artist => [artist.id, artist]));
+  const adjacency = db.getWeightedAdjacency();
+
+  const preference = new Map();
+  for (const artist of artists) {
+    if (artist.explored) preference.set(artist.id, artist.rating || UNRATED_PREFERENCE);
+  }
+  if (preference.size === 0) {
+    return { computedAt: new Date().toISOString(), seeds: 0, recommendations: [] };
+  }
+
+  const rank = computePersonalizedPageRank(ids, adjacency, preference);
+  const candidates = artists.filter(artist => !artist.explored && rank.get(artist.id) > 0);
+  const topScore = Math.max(0, ...candidates.map(artist => rank.get(artist.id)));
+
+  const recommendations = candidates
+    .sort((a, b) => rank.get(b.id) - rank.get(a.id) || a.name.localeCompare(b.name))
+    .map(artist => {
+      const neighbors = [...(adjacency.get(artist.id) || new Map()).keys()]
+        .map(id => byId.get(id))
+        .filter(neighbor => neighbor.explored)
+        .sort((a, b) => (b.rating || 0) - (a.rating || 0));
+
+      return {
+        id: artist.id,
+        name: artist.name,
+        location: artist.location,
+        score: rank.get(artist.id) / topScore,
+        explanation: explainRecommendation(neighbors),
+        because: neighbors.slice(0, 3).map(({ id, name, rating }) => ({ id, name, rating }))
+      };
+    });
+
+  return { computedAt: new Date().toISOString(), seeds: preference.size, recommendations };
+}
+
+// Get the best unexplored artists to explore next (cached until the next change)
+function getRecommendations(limit = 10) {
+  const result = cached('recommendations', computeRecommendations);
+  return { ...result, recommendations: result.recommendations.slice(0, limit) };
+}
+
+// Compute every metric for every artist
+function computeAnalytics() {
+  const artists = db.getAllArtists();
+  const ids = artists.map(artist => artist.id);
+  const adjacency = db.getAdjacencyList();
+
+  const { componentOf, sizes } = computeComponents(ids, adjacency);
+  const { betweenness, closeness } = computePathMetrics(ids, adjacency);
+  const pagerank = ids.length > 0 ? computePageRank(ids, adjacency) : new Map();
+  const { clusterOf } = getCommunities();
+
+  return {
+    computedAt: new Date().toISOString(),
+    artists: artists.map(({ id, name }) => ({
+      id,
+      name,
+      degree: (adjacency.get(id) || []).length,
+      betweenness: betweenness.get(id),
+      closeness: closeness.get(id),
+      pagerank: pagerank.get(id),
+      component: componentOf.get(id),
+      cluster: clusterOf.get(id)
+    })),
+    components: sizes.map((size, id) => ({ id, size }))
+  };
+}
+
+// Get analytics, recomputing only if anything was written since the last call
+function getAnalytics() {
+  return cached('analytics', computeAnalytics);
+}
+
+module.exports = {
+  getAnalytics,
+  getCommunities,
+  getRecommendations
+};
@@ -0,0 +1,93 @@
+// Local accounts and session login. Passwords are stored as salted scrypt
+// hashes ("scrypt$<salt>$<hash>", hex); sessions are random tokens kept in an
+// httpOnly cookie, with only a SHA-256 hash of each token in the database.
+const crypto = require('crypto');
+const db = require('./database');
+const { ApiError, sendError } = require('./validation');
+
+const SESSION_COOKIE = 'sid';
+const SESSION_DAYS = 30;
+const KEY_LENGTH = 64;
+
+// Hash a password with a fresh random salt
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Check a password against a stored hash
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Hash a session token for storage and lookup
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Read the cookies sent with a request into an object
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore cookies that aren't ours and aren't URI-encoded
+    }
+  }
+  return cookies;
+}
+
+// Sign a user in: start a session and set its cookie
+function startSession(res, user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  db.createSession(user.id, hashToken(token), SESSION_DAYS);
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+// Sign the request's user out: end its session and clear the cookie
+function endSession(req, res) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) {
+    db.deleteSession(hashToken(token));
+  }
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax' });
+}
+
+// Get the user signed in on a request, if any
+function getRequestUser(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  return token ? db.getSessionUser(hashToken(token)) : undefined;
+}
+
+// Require a signed-in user for the rest of the request, setting req.user
+function authenticate(req, res, next) {
+  req.user = getRequestUser(req);
+  if (!req.user) {
+    return sendError(res, new ApiError(401, 'unauthorized', 'Sign in to continue'));
+  }
+  next();
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  startSession,
+  endSession,
+  getRequestUser,
+  authenticate
+};
@@ -0,0 +1,98 @@
+// CSV parsing and formatting shared by the server-side importers and exporters
+
+// CSV parser that handles quotes, escaping, and newlines, keeping the line
+// each row starts on and reporting quotes that are never closed
+function parseCSVRows(csvText) {
+  const rows = [];
+  const errors = [];
+  let currentRow = [];
+  let currentField = '';
+  let insideQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    currentRow.push(currentField.trim());
+    if (currentRow.some(field => field)) {
+      rows.push({ line: rowLine, fields: currentRow });
+    }
+    currentRow = [];
+    currentField = '';
+  };
+
+  for (let i = 0; i < csvText.length; i++) {
+    const char = csvText[i];
+    const nextChar = csvText[i + 1];
+
+    if (char === '"') {
+      if (insideQuotes && nextChar === '"') {
+        // Escaped quote - add one quote to field
+        currentField += '"';
+        i++; // Skip next quote
+      } else {
+        // Toggle quote state
+        insideQuotes = !insideQuotes;
+        quoteLine = line;
+      }
+    } else if (char === ',' && !insideQuotes) {
+      // End of field
+      currentRow.push(currentField.trim());
+      currentField = '';
+    } else if ((char === '\n' || char === '\r') && !insideQuotes) {
+      // End of row
+      if (char === '\r' && nextChar === '\n') {
+        i++; // Skip \n in \r\n
+      }
+      if (currentField || currentRow.length > 0) {
+        endRow();
+      }
+      line++;
+      rowLine = line;
+    } else {
+      // Regular character; quoted newlines still advance the line count
+      if (char === '\n' || (char === '\r' && nextChar !== '\n')) {
+        line++;
+      }
+      currentField += char;
+    }
+  }
+
+  if (insideQuotes) {
+    // The open quote swallowed the rest of the text, so drop that row
+    errors.push({ line: quoteLine, error: 'Unterminated quoted field' });
+  } else if (currentField || currentRow.length > 0) {
+    // Add last field and row if any
+    endRow();
+  }
+
+  return { rows, errors };
+}
+
+// Parse CSV text into rows of trimmed fields, dropping blank rows
+function parseCSV(csvText) {
+  return parseCSVRows(csvText).rows.map(row => row.fields);
+}
+
+// Format one value as a CSV field, quoting when needed
+function formatCSVField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim()
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Format rows (arrays of values) as CSV text
+function formatCSV(rows) {
+  return rows.map(row => row.map(formatCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCSV,
+  parseCSVRows,
+  formatCSV
+};
@@ -0,0 +1,245 @@
+// Mapped CSV import: turns an arbitrary spreadsheet export into artists and
+// relationships. Columns are mapped onto CSV_IMPORT_FIELDS by header name or
+// position, every problem is reported with the line it came from, and a dry
+// run performs the whole import inside a transaction that is rolled back.
+const db = require('./database');
+const { parseCSVRows } = require('./csv');
+
+// Importable fields and the header names recognized for each
+const CSV_IMPORT_FIELDS = {
+  name: ['name', 'artist', 'artist name'],
+  location: ['location', 'country', 'city', 'origin'],
+  rating: ['rating', 'score', 'stars'],
+  explored: ['explored', 'listened'],
+  tags: ['tags', 'tag', 'genre', 'genres'],
+  related: ['related', 'related artist', 'related to', 'similar to', 'target']
+};
+
+// Column order assumed when there is no header (the sidebar's name,location,tags)
+const DEFAULT_COLUMNS = ['name', 'location', 'tags'];
+
+// Find the field a header cell names, if any
+function matchHeaderField(cell) {
+  const label = cell.toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+  return Object.keys(CSV_IMPORT_FIELDS).find(field => CSV_IMPORT_FIELDS[field].includes(label)) || null;
+}
+
+// Turn a { field: column } mapping into { field: columnIndex }. Columns may be
+// given as 0-based indexes or header names; without a mapping the header is
+// matched against known names, or DEFAULT_COLUMNS is used positionally.
+function resolveMapping(mapping, header, columnCount) {
+  const resolved = {};
+
+  if (mapping) {
+    for (const [field, column] of Object.entries(mapping)) {
+      if (!CSV_IMPORT_FIELDS[field]) {
+        throw new Error(`Unknown field "${field}" (expected one of: ${Object.keys(CSV_IMPORT_FIELDS).join(', ')})`);
+      }
+      if (column === null || column === '') {
+        continue;
+      }
+
+      const index = /^\d+$/.test(String(column))
+        ? Number(column)
+        : (header || []).findIndex(cell => cell.toLowerCase() === String(column).trim().toLowerCase());
+      if (index < 0 || index >= columnCount) {
+        throw new Error(`Column "${column}" mapped to ${field} does not exist`);
+      }
+      resolved[field] = index;
+    }
+  } else if (header) {
+    header.forEach((cell, index) => {
+      const field = matchHeaderField(cell);
+      if (field && resolved[field] === undefined) {
+        resolved[field] = index;
+      }
+    });
+  } else {
+    DEFAULT_COLUMNS.forEach((field, index) => {
+      if (index < columnCount) {
+        resolved[field] = index;
+      }
+    });
+  }
+
+  if (resolved.name === undefined) {
+    throw new Error('No column is mapped to the artist name');
+  }
+  return resolved;
+}
+
+// Parse an explored cell; undefined means it is not a recognized yes/no value
+function parseExplored(value) {
+  if (/^(true|yes|y|1|x)$/i.test(value)) return true;
+  if (/^(false|no|n|0)$/i.test(value)) return false;
+  return undefined;
+}
+
+// Check a row's values before anything is written; returns error messages
+function validateRow(values, header, fieldCount, parent) {
+  const errors = [];
+
+  if (header && fieldCount > header.length) {
+    errors.push(`Has ${fieldCount} columns but the header has ${header.length}`);
+  }
+  if (!values.name) {
+    errors.push('Missing artist name');
+  }
+  if (values.rating && !/^([1-9]|10)$/.test(values.rating)) {
+    errors.push(`Invalid rating "${values.rating}" (expected a whole number from 1 to 10)`);
+  }
+  if (values.explored && parseExplored(values.explored) === undefined) {
+    errors.push(`Invalid explored value "${values.explored}" (expected yes or no)`);
+  }
+  if (values.name && values.related && db.normalizeName(values.name) === db.normalizeName(values.related)) {
+    errors.push('Relates an artist to itself');
+  }
+  if (values.name && parent && db.findArtistByName(values.name)?.id === parent.id) {
+    errors.push(`Is the artist being imported into ("${parent.name}")`);
+  }
+
+  return errors;
+}
+
+// Import CSV text. Options:
+//   header    true, false or 'auto' (default) to detect a header row
+//   mapping   { field: column } overriding the detected columns
+//   artistId  link every row's artist to this artist
+//   type, direction, source  metadata for created relationships
+//   dryRun    report what would happen without changing anything
+function importCSV(text, options = {}) {
+  const { rows, errors: parseErrors } = parseCSVRows(text);
+  // Auto-detect a header from known column names, or from a mapping that names columns
+  const namesColumns = Object.values(options.mapping || {}).some(column => column && !/^\d+$/.test(String(column)));
+  const hasHeader = options.header === undefined || options.header === 'auto'
+    ? rows.length > 0 && (namesColumns || rows[0].fields.some(cell => matchHeaderField(cell)))
+    : Boolean(options.header);
+  const header = hasHeader && rows.length > 0 ? rows[0].fields : null;
+  const dataRows = header ? rows.slice(1) : rows;
+  const columnCount = header ? header.length : Math.max(0, ...rows.map(row => row.fields.length));
+  const mapping = resolveMapping(options.mapping, header, columnCount);
+
+  const parent = options.artistId ? db.getArtistById(options.artistId) : null;
+  const metadata = {
+    type: options.type,
+    direction: options.direction,
+    source: options.source || 'csv'
+  };
+
+  const report = {
+    dryRun: Boolean(options.dryRun),
+    header,
+    columnCount,
+    mapping,
+    rows: [],
+    summary: {
+      rows: dataRows.length,
+      imported: 0,
+      skipped: 0,
+      artistsCreated: 0,
+      artistsExisting: 0,
+      artistsUpdated: 0,
+      relationshipsCreated: 0,
+      relationshipsExisting: 0
+    },
+    errors: [...parseErrors]
+  };
+
+  // Count each artist once per import, however many rows name it
+  const counted = new Set();
+  const updated = new Set();
+  const count = (artist, created) => {
+    if (counted.has(artist.id)) return;
+    counted.add(artist.id);
+    report.summary[created ? 'artistsCreated' : 'artistsExisting']++;
+  };
+
+  // Link two artists unless they already are; returns 'new' or 'existing'
+  const link = (artistId, relatedId) => {
+    if (db.getRelationship(artistId, relatedId)) {
+      report.summary.relationshipsExisting++;
+      return 'existing';
+    }
+    db.addRelationship(artistId, relatedId, metadata);
+    report.summary.relationshipsCreated++;
+    return 'new';
+  };
+
+  db.transaction(() => {
+    for (const { line, fields } of dataRows) {
+      const values = {};
+      for (const field of Object.keys(CSV_IMPORT_FIELDS)) {
+        values[field] = mapping[field] === undefined ? '' : fields[mapping[field]] || '';
+      }
+
+      const rowErrors = validateRow(values, header, fields.length, parent);
+      if (rowErrors.length > 0) {
+        report.errors.push(...rowErrors.map(error => ({ line, error })));
+        report.summary.skipped++;
+        continue;
+      }
+
+      const existing = db.findArtistByName(values.name);
+      const artist = existing || db.getOrCreateArtist(values.name, values.location || null);
+
+      const changes = {};
+      if (existing && values.location && values.location !== artist.location) {
+        changes.location = values.location;
+      }
+      if (values.rating && Number(values.rating) !== artist.rating) {
+        changes.rating = Number(values.rating);
+      }
+      if (values.explored && (parseExplored(values.explored) ? 1 : 0) !== artist.explored) {
+        changes.explored = parseExplored(values.explored);
+      }
+      if (Object.keys(changes).length > 0) {
+        db.updateArtist(artist.id, changes);
+      }
+
+      const tagCount = db.getArtistTags(artist.id).length;
+      for (const tagName of values.tags.split(/[;|]/).map(tag => tag.trim()).filter(Boolean)) {
+        db.addArtistTag(artist.id, db.getOrCreateTag(tagName).id);
+      }
+      const tagsChanged = db.getArtistTags(artist.id).length !== tagCount;
+
+      const status = !existing ? 'created' : Object.keys(changes).length > 0 || tagsChanged ? 'updated' : 'unchanged';
+      count(artist, status === 'created');
+      if (status === 'updated' && !updated.has(artist.id)) {
+        updated.add(artist.id);
+        report.summary.artistsUpdated++;
+      }
+
+      const links = [];
+      if (parent) {
+        // Direction is relative to the parent, as in the related-artists form
+        links.push({ name: parent.name, status: 'existing', edge: link(parent.id, artist.id) });
+      }
+      if (values.related) {
+        const relatedExisting = db.findArtistByName(values.related);
+        const related = relatedExisting || db.getOrCreateArtist(values.related);
+        if (related.id === artist.id) {
+          // Different spellings that resolve to the same artist through an alias
+          report.errors.push({ line, error: `"${values.related}" is another name for "${artist.name}"; not linked` });
+        } else {
+          count(related, !relatedExisting);
+          links.push({
+            name: related.name,
+            status: relatedExisting ? 'existing' : 'created',
+            edge: link(artist.id, related.id)
+          });
+        }
+      }
+
+      report.rows.push({ line, name: artist.name, status, links });
+      report.summary.imported++;
+    }
+  }, { rollback: report.dryRun });
+
+  report.errors.sort((a, b) => a.line - b.line);
+  return report;
+}
+
+module.exports = {
+  CSV_IMPORT_FIELDS,
+  importCSV
+};
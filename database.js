@@ -1,140 +1,1815 @@
 const { DatabaseSync } = require('node:sqlite');
+const fs = require('fs');
 const path = require('path');
 
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const BACKUP_DIR = path.join(__dirname, 'backups');
+
 const db = new DatabaseSync(path.join(__dirname, 'artists.db'));
 
+// How many transaction() calls are running; nested ones use savepoints
+let transactionDepth = 0;
+
+// Run fn inside a transaction, rolling back if it throws (or always, for dry
+// runs). Called inside another transaction, it rolls back only its own part.
+function transaction(fn, { rollback = false } = {}) {
+  const savepoint = transactionDepth > 0 ? `nested_${transactionDepth}` : null;
+  const end = discard => {
+    if (savepoint) {
+      db.exec(discard ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : `RELEASE ${savepoint}`);
+    } else {
+      db.exec(discard ? 'ROLLBACK' : 'COMMIT');
+    }
+  };
+
+  db.exec(savepoint ? `SAVEPOINT ${savepoint}` : 'BEGIN');
+  transactionDepth++;
+  try {
+    const result = fn();
+    end(rollback);
+    return result;
+  } catch (error) {
+    end(true);
+    throw error;
+  } finally {
+    transactionDepth--;
+  }
+}
+
+// The revision of the last journaled change (see stampRevision). Every change
+// to artists, relationships or ratings goes through the journal, so it works
+// as a version number for caches of data derived from the graph.
+function getRevision() {
+  return db.prepare('SELECT revision FROM journal_state').get().revision;
+}
+
+// Load migration modules from migrations/, ordered by their numeric prefix
+// (e.g. 003_artist_aliases.js is schema version 3)
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({
+      version: parseInt(file),
+      name: file.replace(/\.js$/, ''),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Copy the database to backups/ before migrating it
+function backupDatabase(version) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(BACKUP_DIR, `artists.v${version}.${timestamp}.db`);
+
+  // VACUUM INTO writes a consistent snapshot even if the file is mid-write
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+// Bring the schema up to date. The current version is kept in PRAGMA
+// user_version; each pending migration runs in its own transaction.
+function runMigrations() {
+  const migrations = loadMigrations();
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const current = db.prepare('PRAGMA user_version').get().user_version;
+
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than this app supports (${latest}). ` +
+      'Upgrade the app or restore a backup from the backups/ directory.'
+    );
+  }
+
+  const pending = migrations.filter(migration => migration.version > current);
+  if (pending.length === 0) {
+    return;
+  }
+
+  // Fresh databases have nothing worth backing up
+  const hasTables = db.prepare("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'").get().count > 0;
+  if (hasTables) {
+    console.log(`Backed up database to ${backupDatabase(current)}`);
+  }
+
+  for (const migration of pending) {
+    // Migrations that rebuild tables opt out of foreign key enforcement, which
+    // can only be switched outside a transaction; instead they mustn't leave
+    // more dangling references than there were before
+    const checkForeignKeys = migration.foreignKeys === false;
+    const danglingBefore = checkForeignKeys ? db.prepare('PRAGMA foreign_key_check').all().length : 0;
+    if (checkForeignKeys) {
+      db.exec('PRAGMA foreign_keys = OFF');
+    }
+    db.exec('BEGIN');
+    try {
+      migration.up(db);
+      if (checkForeignKeys && db.prepare('PRAGMA foreign_key_check').all().length > danglingBefore) {
+        throw new Error('left rows referencing missing rows');
+      }
+      db.exec(`PRAGMA user_version = ${migration.version}`);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+    } finally {
+      db.exec('PRAGMA foreign_keys = ON');
+    }
+    console.log(`Applied migration ${migration.name}`);
+  }
+}
+
+// Tables whose changes are journaled for undo/redo; each has an integer `id` key
+const JOURNALED_TABLES = [
+  'artists', 'relationships', 'tags', 'artist_tags', 'artist_aliases', 'plays', 'exploration_log',
+  'user_artist_state'
+];
+// Change sets kept in the journal; older ones can no longer be undone
+const JOURNAL_LIMIT = 200;
+
+// Drop the journal triggers so migrations can alter the tables they watch
+function dropJournalTriggers() {
+  const triggers = db.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'journal\\_%' ESCAPE '\\'").all();
+  for (const { name } of triggers) {
+    db.exec(`DROP TRIGGER IF EXISTS "${name}"`);
+  }
+}
+
+// Create insert/update/delete triggers copying each journaled row change
+// into change_log while a change set is being recorded
+function installJournalTriggers() {
+  for (const table of JOURNALED_TABLES) {
+    const columns = db.prepare(`PRAGMA table_info("${table}")`).all().map(column => column.name);
+    const values = row => `json_object(${columns.map(column => `'${column}', ${row}."${column}"`).join(', ')})`;
+    const triggers = {
+      insert: { row: 'NEW', old: 'NULL', new: values('NEW') },
+      update: { row: 'NEW', old: values('OLD'), new: values('NEW') },
+      delete: { row: 'OLD', old: values('OLD'), new: 'NULL' }
+    };
+
+    for (const [event, trigger] of Object.entries(triggers)) {
+      db.exec(`
+        CREATE TRIGGER journal_${table}_${event} AFTER ${event.toUpperCase()} ON "${table}"
+        WHEN (SELECT change_set_id FROM journal_state) IS NOT NULL
+        BEGIN
+          INSERT INTO change_log (change_set_id, table_name, row_id, old_values, new_values)
+          SELECT change_set_id, '${table}', ${trigger.row}.id, ${trigger.old}, ${trigger.new} FROM journal_state;
+        END
+      `);
+    }
+  }
+
+  // A crash mid-request could leave a change set open
+  db.prepare('UPDATE journal_state SET change_set_id = NULL').run();
+}
+
 // Initialize database schema
 function initDatabase() {
-  // Create artists table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS artists (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      location TEXT,
-      rating INTEGER DEFAULT 5 CHECK(rating >= 1 AND rating <= 10),
-      explored INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+  // Available to SQL, e.g. to migrations filling in artists.normalized_name
+  db.function('normalize_name', { deterministic: true }, name => (name === null ? null : normalizeName(name)));
+  dropJournalTriggers();
+  runMigrations();
+  installJournalTriggers();
+  console.log('Database initialized successfully');
+}
+
+// The workspace that existing data was migrated into; it can't be deleted
+const DEFAULT_WORKSPACE_ID = 1;
+// Workspace that artist lookups, listings and the journal are scoped to
+let currentWorkspaceId = DEFAULT_WORKSPACE_ID;
+
+// Run fn with every call it makes scoped to the given workspace
+function inWorkspace(workspaceId, fn) {
+  const previous = currentWorkspaceId;
+  currentWorkspaceId = workspaceId;
+  try {
+    return fn();
+  } finally {
+    currentWorkspaceId = previous;
+  }
+}
+
+// ID of the workspace calls are currently scoped to
+function getCurrentWorkspaceId() {
+  return currentWorkspaceId;
+}
+
+// User whose ratings and explored state artist rows carry; null when no one is signed in
+let currentUserId = null;
+
+// Run fn with every call it makes reading and recording the given user's state
+function asUser(userId, fn) {
+  const previous = currentUserId;
+  currentUserId = userId;
+  try {
+    return fn();
+  } finally {
+    currentUserId = previous;
+  }
+}
+
+// ID of the user calls are currently made as
+function getCurrentUserId() {
+  return currentUserId;
+}
+
+// Columns and join giving artist rows (aliased `a`) the current user's rating
+// and explored state; the join's parameter is the user ID
+const ARTIST_COLUMNS = 'a.*, s.rating, COALESCE(s.explored, 0) AS explored, s.explored_at';
+const USER_STATE_JOIN = 'LEFT JOIN user_artist_state s ON s.artist_id = a.id AND s.user_id = ?';
+
+// Get all workspaces with the number of artists in each
+function getWorkspaces() {
+  return db.prepare(`
+    SELECT w.*, COUNT(a.id) AS artist_count
+    FROM workspaces w
+    LEFT JOIN artists a ON a.workspace_id = w.id
+    GROUP BY w.id
+    ORDER BY w.id
+  `).all();
+}
 
-  // Create relationships table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS relationships (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      artist_id INTEGER NOT NULL,
-      related_artist_id INTEGER NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (artist_id) REFERENCES artists (id),
-      FOREIGN KEY (related_artist_id) REFERENCES artists (id),
-      UNIQUE(artist_id, related_artist_id)
+// Get workspace by ID
+function getWorkspaceById(id) {
+  return db.prepare('SELECT * FROM workspaces WHERE id = ?').get(id);
+}
+
+// Get workspace by name (case-insensitive)
+function getWorkspaceByName(name) {
+  return db.prepare('SELECT * FROM workspaces WHERE name = ?').get(name);
+}
+
+// Create an empty workspace
+function createWorkspace(name) {
+  const result = db.prepare('INSERT INTO workspaces (name) VALUES (?)').run(name);
+  return getWorkspaceById(result.lastInsertRowid);
+}
+
+// Rename a workspace
+function renameWorkspace(id, name) {
+  db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').run(name, id);
+  return getWorkspaceById(id);
+}
+
+// Delete a workspace with everything in it, including its undo history
+function deleteWorkspace(id) {
+  transaction(() => {
+    const artistIds = 'SELECT id FROM artists WHERE workspace_id = ?';
+    db.prepare(`DELETE FROM relationships WHERE artist_id IN (${artistIds}) OR related_artist_id IN (${artistIds})`).run(id, id);
+    for (const table of ['artist_aliases', 'plays', 'exploration_log', 'artist_tags', 'user_artist_state']) {
+      db.prepare(`DELETE FROM ${table} WHERE artist_id IN (${artistIds})`).run(id);
+    }
+    db.prepare('DELETE FROM layouts WHERE workspace_id = ?').run(id);
+    db.prepare('DELETE FROM artists WHERE workspace_id = ?').run(id);
+    db.prepare('DELETE FROM change_log WHERE change_set_id IN (SELECT id FROM change_sets WHERE workspace_id = ?)').run(id);
+    db.prepare('DELETE FROM change_sets WHERE workspace_id = ?').run(id);
+    db.prepare('DELETE FROM workspaces WHERE id = ?').run(id);
+  });
+}
+
+// Public columns of a user row
+const USER_COLUMNS = 'id, username, created_at';
+
+// Get all users
+function getUsers() {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username COLLATE NOCASE`).all();
+}
+
+// Get user by ID
+function getUserById(id) {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`).get(id);
+}
+
+// Get user by username (case-insensitive)
+function getUserByName(username) {
+  return db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE username = ?`).get(username);
+}
+
+// Get the stored password hash for a user
+function getPasswordHash(userId) {
+  return db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId)?.password_hash;
+}
+
+// Create a user. The first user takes over the ratings, explored state and
+// exploration log kept from before there were accounts.
+function createUser(username, passwordHash) {
+  return transaction(() => {
+    const { lastInsertRowid } = db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)').run(username, passwordHash);
+    if (db.prepare('SELECT COUNT(*) AS count FROM users').get().count === 1) {
+      db.prepare('UPDATE user_artist_state SET user_id = ? WHERE user_id IS NULL').run(lastInsertRowid);
+      db.prepare('UPDATE exploration_log SET user_id = ? WHERE user_id IS NULL').run(lastInsertRowid);
+    }
+    return getUserById(lastInsertRowid);
+  });
+}
+
+// Start a session for a user, stored by a hash of its token, and clear out
+// expired ones
+function createSession(userId, tokenHash, days) {
+  db.prepare("DELETE FROM sessions WHERE expires_at <= datetime('now')").run();
+  db.prepare("INSERT INTO sessions (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', ?))")
+    .run(userId, tokenHash, `+${days} days`);
+}
+
+// Get the user a session token hash belongs to, if the session hasn't expired
+function getSessionUser(tokenHash) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.created_at
+    FROM sessions s
+    INNER JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > datetime('now')
+  `).get(tokenHash);
+}
+
+// End a session
+function deleteSession(tokenHash) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+// Run fn, journaling every change it makes as one change set that can be
+// undone. fn and its journal entries run in one transaction, so if fn throws
+// neither is kept. Each user has their own journal in each workspace.
+// Recording a new change set clears the user's redo stack; calls made while
+// another change set is recording join it. fn is passed the change set's ID.
+function recordChanges(label, fn) {
+  const openId = db.prepare('SELECT change_set_id FROM journal_state').get().change_set_id;
+  if (openId !== null) {
+    return fn(openId);
+  }
+
+  return transaction(() => {
+    const changeSetId = db.prepare('INSERT INTO change_sets (label, workspace_id, user_id) VALUES (?, ?, ?)')
+      .run(label, currentWorkspaceId, currentUserId).lastInsertRowid;
+    db.prepare('UPDATE journal_state SET change_set_id = ?').run(changeSetId);
+
+    try {
+      return fn(changeSetId);
+    } finally {
+      db.prepare('UPDATE journal_state SET change_set_id = NULL').run();
+
+      const { count } = db.prepare('SELECT COUNT(*) AS count FROM change_log WHERE change_set_id = ?').get(changeSetId);
+      if (count === 0) {
+        db.prepare('DELETE FROM change_sets WHERE id = ?').run(changeSetId);
+      } else {
+        stampRevision(changeSetId);
+
+        // Redo stack, and anything past the journal limit
+        const stale = `
+          SELECT id FROM change_sets WHERE workspace_id = ? AND user_id IS ? AND undone = 1
+          UNION SELECT id FROM change_sets WHERE workspace_id = ? AND user_id IS ? AND id <= (
+            SELECT id FROM change_sets WHERE workspace_id = ? AND user_id IS ? ORDER BY id DESC LIMIT 1 OFFSET ?
+          )
+        `;
+        const scope = [currentWorkspaceId, currentUserId];
+        const params = [...scope, ...scope, ...scope, JOURNAL_LIMIT];
+        db.prepare(`DELETE FROM change_log WHERE change_set_id IN (${stale})`).run(...params);
+        db.prepare(`DELETE FROM change_sets WHERE id IN (${stale})`).run(...params);
+      }
+    }
+  });
+}
+
+// Give a change set the next revision from the journal's counter, which only
+// ever grows (see getGraphChanges)
+function stampRevision(changeSetId) {
+  db.prepare('UPDATE journal_state SET revision = revision + 1').run();
+  db.prepare('UPDATE change_sets SET revision = (SELECT revision FROM journal_state) WHERE id = ?').run(changeSetId);
+}
+
+// Put one journaled row into the given state (a values object, or null for "no row")
+function applyRowState(table, rowId, values) {
+  if (!JOURNALED_TABLES.includes(table)) {
+    throw new Error(`Table "${table}" is not journaled`);
+  }
+
+  if (!values) {
+    db.prepare(`DELETE FROM "${table}" WHERE id = ?`).run(rowId);
+    return;
+  }
+
+  // Update in place when the row exists, so rows referencing it stay valid
+  const columns = Object.keys(values);
+  const exists = db.prepare(`SELECT 1 FROM "${table}" WHERE id = ?`).get(rowId);
+  if (exists) {
+    db.prepare(`UPDATE "${table}" SET ${columns.map(column => `"${column}" = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map(column => values[column]), rowId);
+  } else {
+    db.prepare(`INSERT INTO "${table}" (${columns.map(column => `"${column}"`).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+      .run(...columns.map(column => values[column]));
+  }
+}
+
+// Summarize a change set for API responses
+function describeChangeSet(changeSet) {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM change_log WHERE change_set_id = ?').get(changeSet.id);
+  return { id: changeSet.id, label: changeSet.label, createdAt: changeSet.created_at, changes: count };
+}
+
+// The current user's latest applied change set (undo) or earliest undone one (redo)
+function nextChangeSet(undone) {
+  return db.prepare(`
+    SELECT * FROM change_sets WHERE workspace_id = ? AND user_id IS ? AND undone = ?
+    ORDER BY id ${undone ? 'ASC' : 'DESC'} LIMIT 1
+  `).get(currentWorkspaceId, currentUserId, undone ? 1 : 0);
+}
+
+// The latest applied change set made after changeSet that touched any of the
+// same rows. Users' journals interleave, so one user's undo or redo mustn't
+// overwrite what someone else has changed since.
+function findLaterOverlap(changeSet) {
+  return db.prepare(`
+    SELECT later.*, u.username FROM change_sets later
+    LEFT JOIN users u ON u.id = later.user_id
+    WHERE later.workspace_id = ? AND later.id > ? AND later.undone = 0 AND EXISTS (
+      SELECT 1 FROM change_log own
+      INNER JOIN change_log other ON other.table_name = own.table_name AND other.row_id = own.row_id
+      WHERE own.change_set_id = ? AND other.change_set_id = later.id
     )
+    ORDER BY later.id DESC LIMIT 1
+  `).get(currentWorkspaceId, changeSet.id, changeSet.id);
+}
+
+// Put every row of a change set back into its old (undo) or new (redo) state.
+// Returns the change set's summary, with `blocked` set (and `blockedBy`, the
+// other user's change set, when known) if later changes by others touch the
+// same rows or depend on them, in which case nothing is changed.
+function replayChangeSet(changeSet, undo) {
+  const overlap = findLaterOverlap(changeSet);
+  if (overlap) {
+    return { ...describeChangeSet(changeSet), blocked: true, blockedBy: { ...describeChangeSet(overlap), username: overlap.username } };
+  }
+
+  try {
+    transaction(() => {
+      const changes = db.prepare(`SELECT * FROM change_log WHERE change_set_id = ? ORDER BY id ${undo ? 'DESC' : 'ASC'}`).all(changeSet.id);
+      for (const change of changes) {
+        const values = undo ? change.old_values : change.new_values;
+        applyRowState(change.table_name, change.row_id, values && JSON.parse(values));
+      }
+      db.prepare('UPDATE change_sets SET undone = ? WHERE id = ?').run(undo ? 1 : 0, changeSet.id);
+      stampRevision(changeSet.id);
+    });
+  } catch (error) {
+    // e.g. undoing an artist someone has since connected to or rated
+    if (/FOREIGN KEY constraint failed/.test(error.message)) {
+      return { ...describeChangeSet(changeSet), blocked: true, blockedBy: null };
+    }
+    throw error;
+  }
+
+  return describeChangeSet(changeSet);
+}
+
+// Revert the current user's most recent change set in the workspace; returns
+// it (see replayChangeSet), or null if there is nothing to undo
+function undoChanges() {
+  const changeSet = nextChangeSet(false);
+  return changeSet ? replayChangeSet(changeSet, true) : null;
+}
+
+// Reapply the current user's earliest undone change set in the workspace;
+// returns it (see replayChangeSet), or null if there is nothing to redo
+function redoChanges() {
+  const changeSet = nextChangeSet(true);
+  return changeSet ? replayChangeSet(changeSet, false) : null;
+}
+
+// Get the current user's most recent change sets in the workspace, newest
+// first, with what undo and redo would do next
+function getJournal(limit = 50) {
+  const changeSets = db.prepare('SELECT * FROM change_sets WHERE workspace_id = ? AND user_id IS ? ORDER BY id DESC LIMIT ?')
+    .all(currentWorkspaceId, currentUserId, limit);
+  const nextUndo = nextChangeSet(false);
+  const nextRedo = nextChangeSet(true);
+
+  return {
+    undo: nextUndo ? describeChangeSet(nextUndo) : null,
+    redo: nextRedo ? describeChangeSet(nextRedo) : null,
+    changeSets: changeSets.map(changeSet => ({ ...describeChangeSet(changeSet), undone: changeSet.undone === 1 }))
+  };
+}
+
+// Reduce a name to a comparison key: no accents, case, punctuation or
+// leading "the", so "AC/DC" and "ACDC" or "Beyoncé" and "Beyonce" collide
+function normalizeName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/^\s*the\s+/, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Find an artist in the workspace by exact name, then by alias, then by normalized name
+function findArtistByName(name) {
+  const exact = getArtistByName(name);
+  if (exact) {
+    return exact;
+  }
+
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return undefined;
+  }
+
+  const aliasStmt = db.prepare(`
+    SELECT ${ARTIST_COLUMNS} FROM artists a
+    ${USER_STATE_JOIN}
+    INNER JOIN artist_aliases al ON a.id = al.artist_id
+    WHERE al.normalized_alias = ? AND a.workspace_id = ?
   `);
+  const byAlias = aliasStmt.get(currentUserId, normalized, currentWorkspaceId);
+  if (byAlias) {
+    return byAlias;
+  }
 
-  console.log('Database initialized successfully');
+  const match = db.prepare('SELECT id FROM artists WHERE workspace_id = ? AND normalized_name = ? ORDER BY id LIMIT 1')
+    .get(currentWorkspaceId, normalized);
+  return match ? getArtistById(match.id) : undefined;
 }
 
-// Get or create artist
+// Get or create artist (matching existing artists by name or alias)
 function getOrCreateArtist(name, location = null) {
-  const stmt = db.prepare('SELECT * FROM artists WHERE name = ?');
-  const existing = stmt.get(name);
+  const existing = findArtistByName(name);
 
   if (existing) {
     return existing;
   }
 
-  const insertStmt = db.prepare('INSERT INTO artists (name, location) VALUES (?, ?)');
-  const result = insertStmt.run(name, location);
+  const insertStmt = db.prepare('INSERT INTO artists (workspace_id, name, normalized_name, location) VALUES (?, ?, ?, ?)');
+  const result = insertStmt.run(currentWorkspaceId, name, normalizeName(name), location);
 
-  const selectStmt = db.prepare('SELECT * FROM artists WHERE id = ?');
-  return selectStmt.get(result.lastInsertRowid);
+  return getArtistById(result.lastInsertRowid);
 }
 
-// Update artist
+// Update artist. Location is shared; the rating and explored flag are the
+// current user's. Changes to those are recorded in the exploration log, with
+// `note` attached if given.
 function updateArtist(id, data) {
-  const { rating, explored, location } = data;
+  const { rating, explored, location, note } = data;
+  const current = getArtistById(id);
   const updates = [];
   const values = [];
+  const events = [];
 
   if (rating !== undefined) {
     updates.push('rating = ?');
     values.push(rating);
+    if (current && rating !== current.rating) {
+      events.push({ event: 'rated', rating, previousRating: current.rating });
+    }
   }
   if (explored !== undefined) {
     updates.push('explored = ?');
     values.push(explored ? 1 : 0);
-  }
-  if (location !== undefined) {
-    updates.push('location = ?');
-    values.push(location);
+    if (current && (explored ? 1 : 0) !== current.explored) {
+      updates.push(explored ? 'explored_at = CURRENT_TIMESTAMP' : 'explored_at = NULL');
+      // Log the transition before any rating given with it
+      events.unshift({ event: explored ? 'explored' : 'unexplored' });
+    }
   }
 
   if (updates.length > 0) {
-    values.push(id);
-    const stmt = db.prepare(`UPDATE artists SET ${updates.join(', ')} WHERE id = ?`);
+    if (currentUserId === null) {
+      throw new Error('Ratings and explored state need a signed-in user');
+    }
+    db.prepare('INSERT OR IGNORE INTO user_artist_state (user_id, artist_id) VALUES (?, ?)').run(currentUserId, id);
+    values.push(currentUserId, id);
+    const stmt = db.prepare(`UPDATE user_artist_state SET ${updates.join(', ')} WHERE user_id = ? AND artist_id = ?`);
     stmt.run(...values);
   }
+  if (location !== undefined) {
+    db.prepare('UPDATE artists SET location = ? WHERE id = ?').run(location, id);
+  }
+
+  for (const entry of events) {
+    logExplorationEvent(id, { ...entry, note });
+  }
 
-  const selectStmt = db.prepare('SELECT * FROM artists WHERE id = ?');
-  return selectStmt.get(id);
+  return getArtistById(id);
 }
 
-// Add relationship (bidirectional)
-function addRelationship(artistId, relatedArtistId) {
-  try {
-    const stmt = db.prepare('INSERT OR IGNORE INTO relationships (artist_id, related_artist_id) VALUES (?, ?)');
-    // Add relationship in both directions
-    stmt.run(artistId, relatedArtistId);
-    stmt.run(relatedArtistId, artistId);
-    return true;
-  } catch (error) {
-    console.error('Error adding relationship:', error);
-    return false;
+// Record an explored/unexplored transition, rating change or note for an
+// artist, as the current user
+function logExplorationEvent(artistId, { event, rating = null, previousRating = null, note = null }) {
+  const stmt = db.prepare(`
+    INSERT INTO exploration_log (artist_id, user_id, event, rating, previous_rating, note)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const result = stmt.run(artistId, currentUserId, event, rating, previousRating, note || null);
+  return db.prepare('SELECT * FROM exploration_log WHERE id = ?').get(result.lastInsertRowid);
+}
+
+// Get the current user's exploration log for an artist, oldest first
+function getArtistHistory(artistId) {
+  const stmt = db.prepare('SELECT * FROM exploration_log WHERE artist_id = ? AND user_id IS ? ORDER BY created_at, id');
+  return stmt.all(artistId, currentUserId);
+}
+
+// Compare two users' ratings of the artists in the workspace. Lists every
+// artist either has rated, those both rated first with the biggest
+// disagreements leading, and summarizes the artists both rated: how many,
+// the mean absolute difference and the correlation between the ratings
+// (null when there are fewer than two or either user rated them all alike).
+function compareUserRatings(userAId, userBId) {
+  const artists = db.prepare(`
+    SELECT a.id, a.name, a.location,
+      sa.rating AS rating_a, COALESCE(sa.explored, 0) AS explored_a,
+      sb.rating AS rating_b, COALESCE(sb.explored, 0) AS explored_b
+    FROM artists a
+    LEFT JOIN user_artist_state sa ON sa.artist_id = a.id AND sa.user_id = ?
+    LEFT JOIN user_artist_state sb ON sb.artist_id = a.id AND sb.user_id = ?
+    WHERE a.workspace_id = ? AND (sa.rating IS NOT NULL OR sb.rating IS NOT NULL)
+    ORDER BY
+      sa.rating IS NULL OR sb.rating IS NULL,
+      ABS(COALESCE(sa.rating - sb.rating, 0)) DESC,
+      a.name COLLATE NOCASE
+  `).all(userAId, userBId, currentWorkspaceId);
+
+  const both = artists.filter(artist => artist.rating_a !== null && artist.rating_b !== null);
+  const summary = {
+    bothRated: both.length,
+    onlyA: artists.filter(artist => artist.rating_b === null).length,
+    onlyB: artists.filter(artist => artist.rating_a === null).length,
+    meanDifference: null,
+    correlation: null
+  };
+
+  if (both.length > 0) {
+    const total = both.reduce((sum, artist) => sum + Math.abs(artist.rating_a - artist.rating_b), 0);
+    summary.meanDifference = Math.round((total / both.length) * 100) / 100;
+  }
+  if (both.length > 1) {
+    const meanA = both.reduce((sum, artist) => sum + artist.rating_a, 0) / both.length;
+    const meanB = both.reduce((sum, artist) => sum + artist.rating_b, 0) / both.length;
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (const artist of both) {
+      covariance += (artist.rating_a - meanA) * (artist.rating_b - meanB);
+      varianceA += (artist.rating_a - meanA) ** 2;
+      varianceB += (artist.rating_b - meanB) ** 2;
+    }
+    if (varianceA > 0 && varianceB > 0) {
+      summary.correlation = Math.round((covariance / Math.sqrt(varianceA * varianceB)) * 1000) / 1000;
+    }
+  }
+
+  return { artists, summary };
+}
+
+// Relationship types; directed types default to pointing from the artist
+// to the related artist
+const RELATIONSHIP_TYPES = {
+  related: { label: 'Related', directed: false },
+  similar: { label: 'Similar', directed: false },
+  collaboration: { label: 'Collaborated with', directed: false },
+  influence: { label: 'Influenced', directed: true },
+  member: { label: 'Member of', directed: true }
+};
+
+// Direction as seen from the mirrored row of a pair
+const REVERSE_DIRECTION = {
+  none: 'none',
+  outgoing: 'incoming',
+  incoming: 'outgoing'
+};
+
+// Add relationship (bidirectional) with optional type, direction, weight,
+// source and notes. Direction is relative to artistId. SQLite errors (e.g. a
+// missing artist) are thrown to the caller.
+function addRelationship(artistId, relatedArtistId, metadata = {}) {
+  const type = metadata.type || 'related';
+  const direction = metadata.direction || (RELATIONSHIP_TYPES[type]?.directed ? 'outgoing' : 'none');
+  const weight = metadata.weight ?? 1;
+  const source = metadata.source ?? null;
+  const notes = metadata.notes ?? null;
+
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO relationships (artist_id, related_artist_id, type, direction, weight, source, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  // Add relationship in both directions
+  stmt.run(artistId, relatedArtistId, type, direction, weight, source, notes);
+  stmt.run(relatedArtistId, artistId, type, REVERSE_DIRECTION[direction], weight, source, notes);
+}
+
+// Get a relationship as seen from artistId's side
+function getRelationship(artistId, relatedArtistId) {
+  const stmt = db.prepare(`
+    SELECT artist_id, related_artist_id, type, direction, weight, source, notes, created_at
+    FROM relationships
+    WHERE artist_id = ? AND related_artist_id = ?
+  `);
+  return stmt.get(artistId, relatedArtistId);
+}
+
+// Update relationship metadata on both stored rows. Direction is relative to artistId.
+function updateRelationship(artistId, relatedArtistId, data) {
+  const fields = ['type', 'weight', 'source', 'notes'];
+  const updates = [];
+  const values = [];
+
+  for (const field of fields) {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = ?`);
+      values.push(data[field]);
+    }
+  }
+
+  if (updates.length > 0) {
+    const stmt = db.prepare(`
+      UPDATE relationships SET ${updates.join(', ')}
+      WHERE (artist_id = ? AND related_artist_id = ?) OR (artist_id = ? AND related_artist_id = ?)
+    `);
+    stmt.run(...values, artistId, relatedArtistId, relatedArtistId, artistId);
+  }
+
+  if (data.direction !== undefined) {
+    const stmt = db.prepare('UPDATE relationships SET direction = ? WHERE artist_id = ? AND related_artist_id = ?');
+    stmt.run(data.direction, artistId, relatedArtistId);
+    stmt.run(REVERSE_DIRECTION[data.direction], relatedArtistId, artistId);
   }
+
+  return getRelationship(artistId, relatedArtistId);
 }
 
-// Get all artists
+// Remove a relationship (both stored directions)
+function removeRelationship(artistId, relatedArtistId) {
+  const stmt = db.prepare(`
+    DELETE FROM relationships
+    WHERE (artist_id = ? AND related_artist_id = ?) OR (artist_id = ? AND related_artist_id = ?)
+  `);
+  stmt.run(artistId, relatedArtistId, relatedArtistId, artistId);
+}
+
+// Add many related artists ({ name, location, tags, ...metadata }) to one artist
+// in a single transaction; any failure rolls the whole batch back. Reports which
+// artists were created or already existed and which relationships were new or
+// already present (those are left untouched).
+function addRelatedArtists(artistId, rows) {
+  return transaction(() => {
+    const result = {
+      createdArtists: [],
+      existingArtists: [],
+      newRelationships: [],
+      duplicateRelationships: [],
+      skipped: []
+    };
+    const seen = new Set();
+
+    for (const { name, location, tags, type, direction, weight, source, notes } of rows) {
+      const trimmed = name?.trim();
+      if (!trimmed) {
+        result.skipped.push({ name: '', reason: 'Missing name' });
+        continue;
+      }
+
+      const existing = findArtistByName(trimmed);
+      if (existing?.id === artistId) {
+        result.skipped.push({ name: trimmed, reason: 'Cannot relate an artist to itself' });
+        continue;
+      }
+
+      const artist = existing || getOrCreateArtist(trimmed, location?.trim() || null);
+      if (!seen.has(artist.id)) {
+        seen.add(artist.id);
+        (existing ? result.existingArtists : result.createdArtists).push(artist);
+      }
+
+      for (const tagName of tags || []) {
+        addArtistTag(artist.id, getOrCreateTag(tagName).id);
+      }
+
+      if (getRelationship(artistId, artist.id)) {
+        result.duplicateRelationships.push(artist);
+      } else {
+        addRelationship(artistId, artist.id, { type, direction, weight, source, notes });
+        result.newRelationships.push(artist);
+      }
+    }
+
+    return result;
+  });
+}
+
+// Get all artists in the workspace
 function getAllArtists() {
-  const stmt = db.prepare('SELECT * FROM artists ORDER BY created_at DESC');
-  return stmt.all();
+  const stmt = db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.workspace_id = ? ORDER BY a.created_at DESC`);
+  return stmt.all(currentUserId, currentWorkspaceId);
+}
+
+// Sort keys for listArtists; unrated artists sort as 0 and names ignore case
+const ARTIST_SORTS = {
+  name: 'a.name COLLATE NOCASE',
+  rating: 'COALESCE(s.rating, 0)',
+  created_at: 'a.created_at',
+  degree: 'COALESCE(d.degree, 0)'
+};
+
+// Turn a date or "YYYY-MM-DD HH:MM[:SS]" into SQLite's created_at format
+function toTimestamp(value) {
+  return String(value).replace('T', ' ');
+}
+
+// List one page of the workspace's artists with their degree. Options:
+//   sort, order    a key of ARTIST_SORTS, and 'asc' or 'desc'
+//   limit          page size
+//   after          { key, id } of the last artist on the previous page
+//   explored, minRating, maxRating, location (contains), createdFrom,
+//   createdTo (a bare date includes that whole day), minDegree, maxDegree
+// Returns the page, how many artists match the filters and exist in total,
+// and the { key, id } to continue after when there are more.
+function listArtists(options = {}) {
+  const sort = ARTIST_SORTS[options.sort] ? options.sort : 'created_at';
+  const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+  const conditions = ['a.workspace_id = ?'];
+  const params = [currentUserId, currentWorkspaceId];
+
+  if (options.explored !== undefined) {
+    conditions.push('COALESCE(s.explored, 0) = ?');
+    params.push(options.explored ? 1 : 0);
+  }
+  if (options.minRating !== undefined) {
+    conditions.push('s.rating >= ?');
+    params.push(options.minRating);
+  }
+  if (options.maxRating !== undefined) {
+    conditions.push('s.rating <= ?');
+    params.push(options.maxRating);
+  }
+  if (options.location) {
+    conditions.push("a.location LIKE ? ESCAPE '\\'");
+    params.push(`%${options.location.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  if (options.createdFrom) {
+    conditions.push('a.created_at >= ?');
+    params.push(toTimestamp(options.createdFrom));
+  }
+  if (options.createdTo) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(options.createdTo)) {
+      conditions.push("a.created_at < date(?, '+1 day')");
+    } else {
+      conditions.push('a.created_at <= ?');
+    }
+    params.push(toTimestamp(options.createdTo));
+  }
+  if (options.minDegree !== undefined) {
+    conditions.push('COALESCE(d.degree, 0) >= ?');
+    params.push(options.minDegree);
+  }
+  if (options.maxDegree !== undefined) {
+    conditions.push('COALESCE(d.degree, 0) <= ?');
+    params.push(options.maxDegree);
+  }
+
+  // Each relationship is stored once per direction, so an artist's rows are its degree
+  const matching = `
+    SELECT ${ARTIST_COLUMNS}, COALESCE(d.degree, 0) AS degree, ${ARTIST_SORTS[sort]} AS sort_key
+    FROM artists a
+    ${USER_STATE_JOIN}
+    LEFT JOIN (SELECT artist_id, COUNT(*) AS degree FROM relationships GROUP BY artist_id) d
+      ON d.artist_id = a.id
+    WHERE ${conditions.join(' AND ')}
+  `;
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM (${matching})`).get(...params).count;
+  const totalArtists = db.prepare('SELECT COUNT(*) AS count FROM artists WHERE workspace_id = ?').get(currentWorkspaceId).count;
+
+  // Keyset pagination: continue strictly after the previous page's last (key, id)
+  let page = `SELECT * FROM (${matching})`;
+  const pageParams = [...params];
+  if (options.after) {
+    const comparison = direction === 'ASC' ? '>' : '<';
+    const collate = sort === 'name' ? ' COLLATE NOCASE' : '';
+    page += ` WHERE sort_key${collate} ${comparison} ? OR (sort_key${collate} = ? AND id ${comparison} ?)`;
+    pageParams.push(options.after.key, options.after.key, options.after.id);
+  }
+  page += ` ORDER BY sort_key${sort === 'name' ? ' COLLATE NOCASE' : ''} ${direction}, id ${direction} LIMIT ?`;
+  pageParams.push(options.limit + 1);
+
+  const rows = db.prepare(page).all(...pageParams);
+  const hasMore = rows.length > options.limit;
+  const artists = rows.slice(0, options.limit);
+  const last = artists[artists.length - 1];
+
+  return {
+    artists: artists.map(({ sort_key, ...artist }) => artist),
+    total,
+    totalArtists,
+    next: hasMore ? { key: last.sort_key, id: last.id } : null
+  };
 }
 
-// Get artist by ID
+// Get artist by ID (only if it is in the workspace)
 function getArtistById(id) {
-  const stmt = db.prepare('SELECT * FROM artists WHERE id = ?');
-  return stmt.get(id);
+  const stmt = db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.id = ? AND a.workspace_id = ?`);
+  return stmt.get(currentUserId, id, currentWorkspaceId);
 }
 
 // Get artist by name
 function getArtistByName(name) {
-  const stmt = db.prepare('SELECT * FROM artists WHERE name = ?');
-  return stmt.get(name);
+  const stmt = db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.name = ? AND a.workspace_id = ?`);
+  return stmt.get(currentUserId, name, currentWorkspaceId);
+}
+
+// Get artist by Spotify ID
+function getArtistBySpotifyId(spotifyId) {
+  const stmt = db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.spotify_id = ? AND a.workspace_id = ?`);
+  return stmt.get(currentUserId, spotifyId, currentWorkspaceId);
 }
 
-// Get graph data (all artists and relationships)
+// Link an artist to its Spotify ID
+function setArtistSpotifyId(artistId, spotifyId) {
+  db.prepare('UPDATE artists SET spotify_id = ? WHERE id = ?').run(spotifyId, artistId);
+}
+
+// A stream shorter than this doesn't count as a play (Spotify's own threshold)
+const MIN_PLAY_MS = 30000;
+
+// Record one stream; returns false if it was already recorded
+function addPlay(artistId, { playedAt, track = '', msPlayed = 0 }) {
+  const stmt = db.prepare('INSERT OR IGNORE INTO plays (artist_id, played_at, track, ms_played) VALUES (?, ?, ?, ?)');
+  return stmt.run(artistId, playedAt, track, msPlayed).changes > 0;
+}
+
+// Per-artist play count, total listening time and last play for the workspace
+function getListeningStats() {
+  const stmt = db.prepare(`
+    SELECT artist_id,
+           SUM(ms_played >= ?) AS play_count,
+           SUM(ms_played) AS ms_played,
+           MAX(played_at) AS last_played
+    FROM plays
+    WHERE artist_id IN (SELECT id FROM artists WHERE workspace_id = ?)
+    GROUP BY artist_id
+  `);
+  return stmt.all(MIN_PLAY_MS, currentWorkspaceId);
+}
+
+// Add play_count, ms_played and last_played to each artist
+function attachListeningStats(artists) {
+  const stats = new Map(getListeningStats().map(row => [row.artist_id, row]));
+  return artists.map(artist => {
+    const row = stats.get(artist.id);
+    return {
+      ...artist,
+      play_count: row ? row.play_count : 0,
+      ms_played: row ? row.ms_played : 0,
+      last_played: row ? row.last_played : null
+    };
+  });
+}
+
+// Get graph data (all of the workspace's artists and relationships)
 function getGraphData() {
   const artists = getAllArtists();
   const stmt = db.prepare(`
-    SELECT DISTINCT r.artist_id, r.related_artist_id
+    SELECT r.artist_id, r.related_artist_id, r.type, r.direction, r.weight, r.source, r.notes
     FROM relationships r
+    INNER JOIN artists a ON a.id = r.artist_id
+    WHERE a.workspace_id = ?
     ORDER BY r.artist_id, r.related_artist_id
   `);
-  const relationships = stmt.all();
+  const relationships = stmt.all(currentWorkspaceId);
+
+  return { artists: attachListeningStats(attachTags(artists)), relationships, tags: getAllTags() };
+}
+
+// The part of the graph a change set touched, read from its journal rows: the
+// current state of every artist and artist pair it changed (in getGraphData's
+// shape), the artists and pairs it removed, and graph totals. Clients use it
+// to update the graph in place instead of reloading it. `revision` is the
+// change set's latest revision (null if it recorded nothing), so the same
+// change seen twice can be recognised.
+function getGraphChanges(changeSetId) {
+  const artistIds = new Set();
+  const pairs = new Map();
+
+  const changes = db.prepare('SELECT table_name, row_id, old_values, new_values FROM change_log WHERE change_set_id = ?').all(changeSetId);
+  for (const change of changes) {
+    const rows = [change.old_values, change.new_values].filter(Boolean).map(values => JSON.parse(values));
+
+    if (change.table_name === 'artists') {
+      artistIds.add(change.row_id);
+    } else if (change.table_name === 'relationships') {
+      for (const row of rows) {
+        const pair = [Math.min(row.artist_id, row.related_artist_id), Math.max(row.artist_id, row.related_artist_id)];
+        pairs.set(pair.join('-'), pair);
+        // Endpoints are included so clients can place a new edge's artists
+        artistIds.add(row.artist_id);
+        artistIds.add(row.related_artist_id);
+      }
+    } else if (['artist_tags', 'plays', 'user_artist_state'].includes(change.table_name)) {
+      rows.forEach(row => artistIds.add(row.artist_id));
+    }
+  }
+
+  const ids = [...artistIds];
+  const artists = ids.length > 0
+    ? db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.id IN (${ids.map(() => '?').join(', ')})`)
+      .all(currentUserId, ...ids)
+    : [];
+  const existing = new Set(artists.map(artist => artist.id));
+
+  const pairRows = db.prepare(`
+    SELECT artist_id, related_artist_id, type, direction, weight, source, notes
+    FROM relationships WHERE artist_id = ? AND related_artist_id = ?
+  `);
+  const relationships = [];
+  const removedRelationships = [];
+  for (const [artistId, relatedId] of pairs.values()) {
+    const rows = [...pairRows.all(artistId, relatedId), ...pairRows.all(relatedId, artistId)];
+    if (rows.length > 0) {
+      relationships.push(...rows);
+    } else {
+      removedRelationships.push({ artist_id: artistId, related_artist_id: relatedId });
+    }
+  }
 
-  return { artists, relationships };
+  const changeSet = db.prepare('SELECT revision FROM change_sets WHERE id = ?').get(changeSetId);
+
+  return {
+    revision: changeSet ? changeSet.revision : null,
+    artists: attachListeningStats(attachTags(artists)),
+    relationships,
+    removedArtists: ids.filter(id => !existing.has(id)),
+    removedRelationships,
+    tags: getAllTags(),
+    totals: {
+      artists: db.prepare('SELECT COUNT(*) AS count FROM artists WHERE workspace_id = ?').get(currentWorkspaceId).count,
+      // Each relationship is stored once per direction
+      connections: db.prepare(`
+        SELECT COUNT(*) AS count FROM relationships r
+        INNER JOIN artists a ON a.id = r.artist_id
+        WHERE a.workspace_id = ? AND r.artist_id < r.related_artist_id
+      `).get(currentWorkspaceId).count
+    }
+  };
 }
 
-// Get related artists for a specific artist
+// Get related artists for a specific artist, each with a `relationship`
+// object describing the edge from this artist's side
 function getRelatedArtists(artistId) {
   const stmt = db.prepare(`
-    SELECT a.* FROM artists a
+    SELECT ${ARTIST_COLUMNS}, r.type, r.direction, r.weight, r.source, r.notes
+    FROM artists a
+    ${USER_STATE_JOIN}
     INNER JOIN relationships r ON a.id = r.related_artist_id
     WHERE r.artist_id = ?
   `);
+  return stmt.all(currentUserId, artistId).map(({ type, direction, weight, source, notes, ...artist }) => ({
+    ...artist,
+    relationship: { type, direction, weight, source, notes }
+  }));
+}
+
+// Get the N-hop neighborhood of an artist: every artist within `depth` hops
+// (each tagged with its hop distance) and the relationships between them
+function getNeighborhood(artistId, depth = 1) {
+  const depths = new Map([[artistId, 0]]);
+  let frontier = [artistId];
+
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const related of getRelatedArtists(id)) {
+        if (!depths.has(related.id)) {
+          depths.set(related.id, hop);
+          next.push(related.id);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const ids = [...depths.keys()];
+  const placeholders = ids.map(() => '?').join(', ');
+
+  const artists = db.prepare(`SELECT ${ARTIST_COLUMNS} FROM artists a ${USER_STATE_JOIN} WHERE a.id IN (${placeholders})`)
+    .all(currentUserId, ...ids)
+    .map(artist => ({ ...artist, depth: depths.get(artist.id) }))
+    .sort((a, b) => a.depth - b.depth);
+
+  const relationships = db.prepare(`
+    SELECT r.artist_id, r.related_artist_id, r.type, r.direction, r.weight, r.source, r.notes
+    FROM relationships r
+    WHERE r.artist_id IN (${placeholders}) AND r.related_artist_id IN (${placeholders})
+    ORDER BY r.artist_id, r.related_artist_id
+  `).all(...ids, ...ids);
+
+  return { artists: attachTags(artists), relationships };
+}
+
+// Palette assigned round-robin to new tags that don't specify a color
+const TAG_COLORS = [
+  '#3498db', '#9b59b6', '#e74c3c', '#f1c40f', '#1abc9c',
+  '#e84393', '#00cec9', '#fd79a8', '#a29bfe', '#fab1a0'
+];
+
+// Get all tags (they are shared by every workspace) with the number of the
+// workspace's artists carrying each
+function getAllTags() {
+  const stmt = db.prepare(`
+    SELECT t.*, COUNT(at.id) AS artist_count
+    FROM tags t
+    LEFT JOIN artist_tags at
+      ON t.id = at.tag_id AND at.artist_id IN (SELECT id FROM artists WHERE workspace_id = ?)
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE
+  `);
+  return stmt.all(currentWorkspaceId);
+}
+
+// Get tag by ID
+function getTagById(id) {
+  const stmt = db.prepare('SELECT * FROM tags WHERE id = ?');
+  return stmt.get(id);
+}
+
+// Get tag by name (case-insensitive)
+function getTagByName(name) {
+  const stmt = db.prepare('SELECT * FROM tags WHERE name = ?');
+  return stmt.get(name);
+}
+
+// Get or create tag
+function getOrCreateTag(name, color = null) {
+  const existing = getTagByName(name);
+
+  if (existing) {
+    return existing;
+  }
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM tags').get();
+  const insertStmt = db.prepare('INSERT INTO tags (name, color) VALUES (?, ?)');
+  const result = insertStmt.run(name, color || TAG_COLORS[count % TAG_COLORS.length]);
+
+  return getTagById(result.lastInsertRowid);
+}
+
+// Update tag
+function updateTag(id, data) {
+  const { name, color } = data;
+  const updates = [];
+  const values = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    values.push(name);
+  }
+  if (color !== undefined) {
+    updates.push('color = ?');
+    values.push(color);
+  }
+
+  if (updates.length > 0) {
+    values.push(id);
+    const stmt = db.prepare(`UPDATE tags SET ${updates.join(', ')} WHERE id = ?`);
+    stmt.run(...values);
+  }
+
+  return getTagById(id);
+}
+
+// Delete tag and remove it from all artists
+function deleteTag(id) {
+  db.prepare('DELETE FROM artist_tags WHERE tag_id = ?').run(id);
+  db.prepare('DELETE FROM tags WHERE id = ?').run(id);
+}
+
+// Get tags for an artist, primary tag first
+function getArtistTags(artistId) {
+  const stmt = db.prepare(`
+    SELECT t.* FROM tags t
+    INNER JOIN artist_tags at ON t.id = at.tag_id
+    WHERE at.artist_id = ?
+    ORDER BY at.id
+  `);
+  return stmt.all(artistId);
+}
+
+// Tag an artist (no-op if already tagged)
+function addArtistTag(artistId, tagId) {
+  const stmt = db.prepare('INSERT OR IGNORE INTO artist_tags (artist_id, tag_id) VALUES (?, ?)');
+  stmt.run(artistId, tagId);
+}
+
+// Remove a tag from an artist
+function removeArtistTag(artistId, tagId) {
+  const stmt = db.prepare('DELETE FROM artist_tags WHERE artist_id = ? AND tag_id = ?');
+  stmt.run(artistId, tagId);
+}
+
+// Add a `tags` array of tag IDs (primary tag first) to each artist
+function attachTags(artists) {
+  const tagsByArtist = new Map();
+  for (const { artist_id, tag_id } of db.prepare('SELECT artist_id, tag_id FROM artist_tags ORDER BY id').all()) {
+    if (!tagsByArtist.has(artist_id)) {
+      tagsByArtist.set(artist_id, []);
+    }
+    tagsByArtist.get(artist_id).push(tag_id);
+  }
+
+  return artists.map(artist => ({ ...artist, tags: tagsByArtist.get(artist.id) || [] }));
+}
+
+// Get the workspace's saved layouts with the number of artists each positions
+function getLayouts() {
+  return db.prepare(`
+    SELECT l.*, COUNT(p.id) AS artist_count
+    FROM layouts l
+    LEFT JOIN layout_positions p ON p.layout_id = l.id
+    WHERE l.workspace_id = ?
+    GROUP BY l.id
+    ORDER BY l.name COLLATE NOCASE
+  `).all(currentWorkspaceId);
+}
+
+// Get a layout with its node positions
+function getLayoutById(id) {
+  const layout = db.prepare('SELECT * FROM layouts WHERE id = ? AND workspace_id = ?').get(id, currentWorkspaceId);
+  if (!layout) {
+    return null;
+  }
+
+  const positions = db.prepare('SELECT artist_id, x, y FROM layout_positions WHERE layout_id = ? ORDER BY artist_id').all(id);
+  return { ...layout, positions };
+}
+
+// Get layout by name (case-insensitive)
+function getLayoutByName(name) {
+  return db.prepare('SELECT * FROM layouts WHERE name = ? AND workspace_id = ?').get(name, currentWorkspaceId);
+}
+
+// Replace a layout's positions; positions of artists that no longer exist (or
+// are in another workspace) are skipped
+function setLayoutPositions(layoutId, positions) {
+  db.prepare('DELETE FROM layout_positions WHERE layout_id = ?').run(layoutId);
+
+  const insert = db.prepare(`
+    INSERT OR REPLACE INTO layout_positions (layout_id, artist_id, x, y)
+    SELECT ?, id, ?, ? FROM artists WHERE id = ? AND workspace_id = ?
+  `);
+  for (const { artistId, x, y } of positions) {
+    insert.run(layoutId, x, y, artistId, currentWorkspaceId);
+  }
+}
+
+// Save a new layout ({ name, zoom, pan: { x, y }, positions: [{ artistId, x, y }] })
+function createLayout({ name, zoom = 1, pan = { x: 0, y: 0 }, positions = [] }) {
+  return transaction(() => {
+    const result = db.prepare('INSERT INTO layouts (workspace_id, name, zoom, pan_x, pan_y) VALUES (?, ?, ?, ?, ?)')
+      .run(currentWorkspaceId, name, zoom, pan.x, pan.y);
+    setLayoutPositions(result.lastInsertRowid, positions);
+    return getLayoutById(result.lastInsertRowid);
+  });
+}
+
+// Rename a layout or overwrite its view and positions; omitted fields are kept
+function updateLayout(id, { name, zoom, pan, positions }) {
+  return transaction(() => {
+    const updates = ['updated_at = CURRENT_TIMESTAMP'];
+    const values = [];
+
+    if (name !== undefined) {
+      updates.push('name = ?');
+      values.push(name);
+    }
+    if (zoom !== undefined) {
+      updates.push('zoom = ?');
+      values.push(zoom);
+    }
+    if (pan !== undefined) {
+      updates.push('pan_x = ?', 'pan_y = ?');
+      values.push(pan.x, pan.y);
+    }
+
+    db.prepare(`UPDATE layouts SET ${updates.join(', ')} WHERE id = ?`).run(...values, id);
+    if (positions !== undefined) {
+      setLayoutPositions(id, positions);
+    }
+    return getLayoutById(id);
+  });
+}
+
+// Delete a layout (its positions cascade)
+function deleteLayout(id) {
+  db.prepare('DELETE FROM layouts WHERE id = ?').run(id);
+}
+
+// Words ignored in search queries so "The Beatles" also finds "Beatles"
+const SEARCH_STOPWORDS = new Set(['the', 'a', 'an', 'and']);
+
+// Split a search query into lowercase, diacritic-free terms matching the FTS tokenizer
+function tokenizeSearchQuery(query) {
+  const terms = query
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const meaningful = terms.filter(term => !SEARCH_STOPWORDS.has(term));
+  return meaningful.length > 0 ? meaningful : terms;
+}
+
+// Levenshtein edit distance, giving up early once it exceeds maxDistance
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, substitution));
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previousRow = row;
+  }
+
+  return previousRow[b.length];
+}
+
+// Escape text for HTML, turning the FTS highlight markers into <mark> tags
+function renderHighlight(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+// Run an FTS match expression and return ranked artists with highlighted fields
+function runArtistSearch(matchExpression, limit) {
+  const stmt = db.prepare(`
+    SELECT ${ARTIST_COLUMNS},
+      highlight(artists_fts, 0, char(2), char(3)) AS name_highlight,
+      highlight(artists_fts, 1, char(2), char(3)) AS location_highlight
+    FROM artists_fts
+    INNER JOIN artists a ON a.id = artists_fts.rowid
+    ${USER_STATE_JOIN}
+    WHERE artists_fts MATCH ? AND a.workspace_id = ?
+    ORDER BY bm25(artists_fts, 10.0, 1.0), s.rating DESC
+    LIMIT ?
+  `);
+
+  return stmt.all(currentUserId, matchExpression, currentWorkspaceId, limit).map(({ name_highlight, location_highlight, ...artist }) => ({
+    ...artist,
+    highlight: {
+      name: renderHighlight(name_highlight),
+      location: renderHighlight(location_highlight)
+    }
+  }));
+}
+
+// Ranked, accent-insensitive artist search over name and location.
+// Terms match as prefixes; if that yields too few results, terms are widened
+// to indexed words within a small edit distance to tolerate typos.
+function searchArtists(query, limit = 10) {
+  const terms = tokenizeSearchQuery(query);
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const quote = term => `"${term.replace(/"/g, '""')}"`;
+  const results = runArtistSearch(terms.map(term => `${quote(term)}*`).join(' AND '), limit);
+
+  if (results.length >= limit) {
+    return results;
+  }
+
+  // Fuzzy fallback: expand each term with similarly spelled indexed words
+  const vocabulary = db.prepare('SELECT term FROM artists_fts_vocab').all().map(row => row.term);
+  const expanded = terms.map(term => {
+    const maxDistance = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+    const alternatives = maxDistance === 0
+      ? []
+      : vocabulary.filter(word => word !== term && editDistance(term, word, maxDistance) <= maxDistance);
+    return `(${[`${quote(term)}*`, ...alternatives.map(quote)].join(' OR ')})`;
+  });
+
+  const seen = new Set(results.map(artist => artist.id));
+  for (const artist of runArtistSearch(expanded.join(' AND '), limit)) {
+    if (results.length >= limit) break;
+    if (!seen.has(artist.id)) {
+      results.push(artist);
+    }
+  }
+
+  return results;
+}
+
+// Get aliases for an artist
+function getArtistAliases(artistId) {
+  const stmt = db.prepare('SELECT * FROM artist_aliases WHERE artist_id = ? ORDER BY alias');
   return stmt.all(artistId);
 }
 
+// Get every alias in the workspace
+function getAllAliases() {
+  const stmt = db.prepare('SELECT * FROM artist_aliases WHERE workspace_id = ? ORDER BY artist_id, alias');
+  return stmt.all(currentWorkspaceId);
+}
+
+// Record an alternate name for an artist. Returns false if the alias
+// already belongs to another artist in the workspace.
+function addArtistAlias(artistId, alias) {
+  const normalized = normalizeName(alias);
+  const owner = db.prepare('SELECT artist_id FROM artist_aliases WHERE normalized_alias = ? AND workspace_id = ?')
+    .get(normalized, currentWorkspaceId);
+
+  if (owner) {
+    return owner.artist_id === artistId;
+  }
+
+  const stmt = db.prepare('INSERT INTO artist_aliases (workspace_id, artist_id, alias, normalized_alias) VALUES (?, ?, ?, ?)');
+  stmt.run(currentWorkspaceId, artistId, alias, normalized);
+  return true;
+}
+
+// Fold one artist into another: repoint relationships, drop the self-loops and
+// duplicate edges this creates, keep the better metadata and each user's
+// better state, and record the old name as an alias. Runs in a single
+// transaction.
+function mergeArtists(targetId, sourceId) {
+  const target = getArtistById(targetId);
+  const source = getArtistById(sourceId);
+
+  transaction(() => {
+    // Repoint edges; OR IGNORE skips rows that would duplicate an existing edge
+    db.prepare('UPDATE OR IGNORE relationships SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+    db.prepare('UPDATE OR IGNORE relationships SET related_artist_id = ? WHERE related_artist_id = ?').run(targetId, sourceId);
+    db.prepare('DELETE FROM relationships WHERE artist_id = ? OR related_artist_id = ?').run(sourceId, sourceId);
+    db.prepare('DELETE FROM relationships WHERE artist_id = related_artist_id').run();
+
+    // Keep the better metadata from either artist
+    db.prepare('UPDATE artists SET location = ?, created_at = ? WHERE id = ?').run(
+      target.location || source.location,
+      target.created_at < source.created_at ? target.created_at : source.created_at,
+      targetId
+    );
+
+    // For each user, keep the higher rating and the earlier exploration
+    const targetStates = db.prepare('SELECT * FROM user_artist_state WHERE artist_id = ?').all(targetId);
+    for (const state of db.prepare('SELECT * FROM user_artist_state WHERE artist_id = ?').all(sourceId)) {
+      const existing = targetStates.find(row => row.user_id === state.user_id);
+      if (!existing) {
+        db.prepare('UPDATE user_artist_state SET artist_id = ? WHERE id = ?').run(targetId, state.id);
+        continue;
+      }
+      const ratings = [existing.rating, state.rating].filter(rating => rating !== null);
+      db.prepare('UPDATE user_artist_state SET rating = ?, explored = ?, explored_at = ? WHERE id = ?').run(
+        ratings.length > 0 ? Math.max(...ratings) : null,
+        existing.explored || state.explored ? 1 : 0,
+        [existing.explored_at, state.explored_at].filter(Boolean).sort()[0] || null,
+        existing.id
+      );
+    }
+    db.prepare('DELETE FROM user_artist_state WHERE artist_id = ?').run(sourceId);
+
+    // Carry the source's tags over, skipping ones the target already has
+    db.prepare('UPDATE OR IGNORE artist_tags SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+    db.prepare('DELETE FROM artist_tags WHERE artist_id = ?').run(sourceId);
+
+    // Move listening history over; OR IGNORE drops streams both already had
+    db.prepare('UPDATE OR IGNORE plays SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+    db.prepare('DELETE FROM plays WHERE artist_id = ?').run(sourceId);
+
+    // Keep both artists' exploration history
+    db.prepare('UPDATE exploration_log SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+
+    // Keep the target's saved positions; take the source's where the target has none
+    db.prepare('UPDATE OR IGNORE layout_positions SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+
+    // Move the source's aliases over, then record its name as one
+    db.prepare('UPDATE artist_aliases SET artist_id = ? WHERE artist_id = ?').run(targetId, sourceId);
+    db.prepare('DELETE FROM artists WHERE id = ?').run(sourceId);
+    if (!target.spotify_id && source.spotify_id) {
+      setArtistSpotifyId(targetId, source.spotify_id);
+    }
+    if (normalizeName(source.name) !== normalizeName(target.name)) {
+      addArtistAlias(targetId, source.name);
+    }
+  });
+
+  return getArtistById(targetId);
+}
+
+// Copy artists from another workspace into this one with their location,
+// Spotify ID, every user's rating and explored state, tags and aliases, then copy their
+// relationships to each other and to artists this workspace already has.
+// Artists that already exist here (by name, alias or Spotify ID) are reused
+// as they are. Runs in a single transaction; reports which artists were
+// created or already existed and how many relationships were added.
+function copyArtists(fromWorkspaceId, artistIds) {
+  return transaction(() => {
+    const result = { createdArtists: [], existingArtists: [], newRelationships: 0 };
+    const sources = inWorkspace(fromWorkspaceId, () => [...new Set(artistIds)].map(getArtistById).filter(Boolean));
+    const copies = new Map();
+
+    const insert = db.prepare(`
+      INSERT INTO artists (workspace_id, name, normalized_name, location, spotify_id)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    const copyStates = db.prepare(`
+      INSERT INTO user_artist_state (user_id, artist_id, rating, explored, explored_at)
+      SELECT user_id, ?, rating, explored, explored_at FROM user_artist_state WHERE artist_id = ?
+    `);
+    for (const source of sources) {
+      const existing = findArtistByName(source.name) || (source.spotify_id && getArtistBySpotifyId(source.spotify_id));
+      if (existing) {
+        copies.set(source.id, existing);
+        result.existingArtists.push(existing);
+        continue;
+      }
+
+      const { lastInsertRowid } = insert.run(currentWorkspaceId, source.name, normalizeName(source.name), source.location, source.spotify_id);
+      copyStates.run(lastInsertRowid, source.id);
+      for (const tag of getArtistTags(source.id)) {
+        addArtistTag(lastInsertRowid, tag.id);
+      }
+      for (const { alias } of getArtistAliases(source.id)) {
+        addArtistAlias(lastInsertRowid, alias);
+      }
+
+      const artist = getArtistById(lastInsertRowid);
+      copies.set(source.id, artist);
+      result.createdArtists.push(artist);
+    }
+
+    // Each pair is seen from both sides; the second time it already exists
+    for (const [sourceId, artist] of copies) {
+      for (const { relationship, ...related } of getRelatedArtists(sourceId)) {
+        const relatedCopy = copies.get(related.id) || findArtistByName(related.name);
+        if (!relatedCopy || relatedCopy.id === artist.id || getRelationship(artist.id, relatedCopy.id)) {
+          continue;
+        }
+        addRelationship(artist.id, relatedCopy.id, relationship);
+        result.newRelationships++;
+      }
+    }
+
+    return result;
+  });
+}
+
+// Suggest likely duplicate artists: names that are equal once normalized,
+// or within a small edit distance of each other
+function findDuplicateCandidates() {
+  const artists = getAllArtists().map(artist => ({ artist, key: normalizeName(artist.name) }));
+  const suggestions = [];
+
+  for (let i = 0; i < artists.length; i++) {
+    for (let j = i + 1; j < artists.length; j++) {
+      const a = artists[i];
+      const b = artists[j];
+      if (!a.key || !b.key) continue;
+
+      if (a.key === b.key) {
+        suggestions.push({ artists: [a.artist, b.artist], reason: 'Same name ignoring accents, case and punctuation' });
+        continue;
+      }
+
+      const maxDistance = Math.min(a.key.length, b.key.length) >= 8 ? 2 : 1;
+      if (Math.min(a.key.length, b.key.length) >= 4 && editDistance(a.key, b.key, maxDistance) <= maxDistance) {
+        suggestions.push({ artists: [a.artist, b.artist], reason: 'Very similar spelling' });
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+// Resolve an artist reference that may be either an ID or a name
+function resolveArtist(ref) {
+  if (ref === undefined || ref === null) {
+    return undefined;
+  }
+
+  const value = String(ref).trim();
+  if (/^\d+$/.test(value)) {
+    const byId = getArtistById(parseInt(value));
+    if (byId) {
+      return byId;
+    }
+  }
+
+  return findArtistByName(value);
+}
+
+// Build an adjacency list (artist id -> neighbor ids) from the workspace's relationships
+function getAdjacencyList() {
+  const stmt = db.prepare(`
+    SELECT r.artist_id, r.related_artist_id FROM relationships r
+    INNER JOIN artists a ON a.id = r.artist_id
+    WHERE a.workspace_id = ?
+  `);
+  const adjacency = new Map();
+
+  for (const { artist_id, related_artist_id } of stmt.all(currentWorkspaceId)) {
+    if (!adjacency.has(artist_id)) {
+      adjacency.set(artist_id, []);
+    }
+    adjacency.get(artist_id).push(related_artist_id);
+  }
+
+  return adjacency;
+}
+
+// Build a weighted adjacency map (artist id -> Map of neighbor id -> weight)
+// from the workspace's relationships
+function getWeightedAdjacency() {
+  const stmt = db.prepare(`
+    SELECT r.artist_id, r.related_artist_id, r.weight FROM relationships r
+    INNER JOIN artists a ON a.id = r.artist_id
+    WHERE a.workspace_id = ?
+  `);
+  const adjacency = new Map();
+
+  for (const { artist_id, related_artist_id, weight } of stmt.all(currentWorkspaceId)) {
+    if (!adjacency.has(artist_id)) {
+      adjacency.set(artist_id, new Map());
+    }
+    adjacency.get(artist_id).set(related_artist_id, weight);
+  }
+
+  return adjacency;
+}
+
+// Find the shortest path between two artists using breadth-first search.
+// Returns the ordered artists and edges along the path, or null if unreachable.
+function findShortestPath(fromId, toId) {
+  const adjacency = getAdjacencyList();
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+
+  while (queue.length > 0 && !previous.has(toId)) {
+    const current = queue.shift();
+    for (const neighbor of adjacency.get(current) || []) {
+      if (!previous.has(neighbor)) {
+        previous.set(neighbor, current);
+        queue.push(neighbor);
+      }
+    }
+  }
+
+  if (!previous.has(toId)) {
+    return null;
+  }
+
+  // Walk back from the target to rebuild the chain
+  const ids = [];
+  for (let id = toId; id !== null; id = previous.get(id)) {
+    ids.unshift(id);
+  }
+
+  return buildPath(ids);
+}
+
+// Turn an ordered list of artist IDs into the path shape returned by the API
+function buildPath(ids, artistsById = null) {
+  const artists = ids.map(id => (artistsById ? artistsById.get(id) : getArtistById(id)));
+  const relationships = [];
+  for (let i = 0; i < ids.length - 1; i++) {
+    relationships.push({ artist_id: ids[i], related_artist_id: ids[i + 1] });
+  }
+
+  return { length: relationships.length, artists, relationships };
+}
+
+// Cost functions for weighted path search. Each returns the cost of stepping
+// onto an artist, so a route's cost is the sum over every artist after the first.
+const PATH_COST_FUNCTIONS = {
+  hops: () => 1,
+  rating: artist => 11 - (artist.rating || 5),
+  unexplored: artist => (artist.explored ? 3 : 1),
+  explored: artist => (artist.explored ? 1 : 3)
+};
+
+// Dijkstra's algorithm over the relationships graph, skipping blocked artists and edges
+function findCheapestPath(adjacency, stepCost, fromId, toId, blockedNodes, blockedEdges) {
+  const distances = new Map([[fromId, 0]]);
+  const previous = new Map([[fromId, null]]);
+  const visited = new Set();
+  const frontier = [fromId];
+
+  while (frontier.length > 0) {
+    // Pick the cheapest unvisited artist
+    let bestIndex = 0;
+    for (let i = 1; i < frontier.length; i++) {
+      if (distances.get(frontier[i]) < distances.get(frontier[bestIndex])) {
+        bestIndex = i;
+      }
+    }
+    const current = frontier.splice(bestIndex, 1)[0];
+
+    if (current === toId) break;
+    if (visited.has(current)) continue;
+    visited.add(current);
+
+    for (const neighbor of adjacency.get(current) || []) {
+      if (visited.has(neighbor) || blockedNodes.has(neighbor) || blockedEdges.has(`${current}-${neighbor}`)) {
+        continue;
+      }
+
+      const distance = distances.get(current) + stepCost(neighbor);
+      if (!distances.has(neighbor) || distance < distances.get(neighbor)) {
+        distances.set(neighbor, distance);
+        previous.set(neighbor, current);
+        frontier.push(neighbor);
+      }
+    }
+  }
+
+  if (!previous.has(toId)) {
+    return null;
+  }
+
+  const ids = [];
+  for (let id = toId; id !== null; id = previous.get(id)) {
+    ids.unshift(id);
+  }
+  return ids;
+}
+
+// Find the top-k cheapest loop-free paths between two artists (Yen's algorithm)
+function findKPaths(fromId, toId, k = 3, cost = 'hops') {
+  const costFunction = PATH_COST_FUNCTIONS[cost];
+  if (!costFunction) {
+    throw new Error(`Unknown cost function: ${cost}`);
+  }
+
+  const adjacency = getAdjacencyList();
+  const artistsById = new Map(getAllArtists().map(artist => [artist.id, artist]));
+  const stepCost = id => costFunction(artistsById.get(id));
+  const pathCost = ids => ids.slice(1).reduce((total, id) => total + stepCost(id), 0);
+
+  const first = findCheapestPath(adjacency, stepCost, fromId, toId, new Set(), new Set());
+  if (!first) {
+    return [];
+  }
+
+  const found = [first];
+  const candidates = [];
+
+  while (found.length < k) {
+    const last = found[found.length - 1];
+
+    for (let i = 0; i < last.length - 1; i++) {
+      const spurNode = last[i];
+      const rootPath = last.slice(0, i + 1);
+      const rootKey = rootPath.join(',');
+
+      // Block the next edge of every known path sharing this root, and the root itself
+      const blockedEdges = new Set();
+      for (const ids of found) {
+        if (ids.length > i + 1 && ids.slice(0, i + 1).join(',') === rootKey) {
+          blockedEdges.add(`${ids[i]}-${ids[i + 1]}`);
+        }
+      }
+      const blockedNodes = new Set(rootPath.slice(0, -1));
+
+      const spurPath = findCheapestPath(adjacency, stepCost, spurNode, toId, blockedNodes, blockedEdges);
+      if (!spurPath) continue;
+
+      const candidate = rootPath.slice(0, -1).concat(spurPath);
+      const key = candidate.join(',');
+      if (!candidates.some(c => c.key === key) && !found.some(ids => ids.join(',') === key)) {
+        candidates.push({ key, ids: candidate, cost: pathCost(candidate) });
+      }
+    }
+
+    if (candidates.length === 0) break;
+
+    candidates.sort((a, b) => a.cost - b.cost || a.ids.length - b.ids.length);
+    found.push(candidates.shift().ids);
+  }
+
+  return found.map(ids => ({ ...buildPath(ids, artistsById), cost: pathCost(ids) }));
+}
+
 // Delete artist and all relationships
 function deleteArtist(id) {
+  db.prepare('DELETE FROM artist_aliases WHERE artist_id = ?').run(id);
+  db.prepare('DELETE FROM plays WHERE artist_id = ?').run(id);
+  db.prepare('DELETE FROM exploration_log WHERE artist_id = ?').run(id);
+  db.prepare('DELETE FROM artist_tags WHERE artist_id = ?').run(id);
+  db.prepare('DELETE FROM user_artist_state WHERE artist_id = ?').run(id);
+
   const stmt1 = db.prepare('DELETE FROM relationships WHERE artist_id = ? OR related_artist_id = ?');
   stmt1.run(id, id);
 
@@ -144,13 +1819,86 @@ function deleteArtist(id) {
 
 module.exports = {
   initDatabase,
+  transaction,
+  getRevision,
+  DEFAULT_WORKSPACE_ID,
+  inWorkspace,
+  getCurrentWorkspaceId,
+  getWorkspaces,
+  getWorkspaceById,
+  getWorkspaceByName,
+  createWorkspace,
+  renameWorkspace,
+  deleteWorkspace,
+  asUser,
+  getCurrentUserId,
+  getUsers,
+  getUserById,
+  getUserByName,
+  getPasswordHash,
+  createUser,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  recordChanges,
+  undoChanges,
+  redoChanges,
+  getJournal,
   getOrCreateArtist,
   updateArtist,
+  logExplorationEvent,
+  getArtistHistory,
+  compareUserRatings,
   addRelationship,
+  RELATIONSHIP_TYPES,
+  ARTIST_SORTS,
+  REVERSE_DIRECTION,
+  getRelationship,
+  updateRelationship,
+  removeRelationship,
+  addRelatedArtists,
   getAllArtists,
+  listArtists,
   getArtistById,
   getArtistByName,
+  normalizeName,
+  findArtistByName,
+  getArtistBySpotifyId,
+  setArtistSpotifyId,
+  MIN_PLAY_MS,
+  addPlay,
+  getListeningStats,
   getGraphData,
+  getGraphChanges,
   getRelatedArtists,
+  getNeighborhood,
+  getAllTags,
+  getTagById,
+  getTagByName,
+  getOrCreateTag,
+  updateTag,
+  deleteTag,
+  getLayouts,
+  getLayoutById,
+  getLayoutByName,
+  createLayout,
+  updateLayout,
+  deleteLayout,
+  getArtistTags,
+  addArtistTag,
+  removeArtistTag,
+  searchArtists,
+  getArtistAliases,
+  getAllAliases,
+  addArtistAlias,
+  mergeArtists,
+  copyArtists,
+  findDuplicateCandidates,
+  resolveArtist,
+  getAdjacencyList,
+  getWeightedAdjacency,
+  findShortestPath,
+  findKPaths,
+  PATH_COST_FUNCTIONS,
   deleteArtist
 };
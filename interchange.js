@@ -0,0 +1,673 @@
+// Full-database export and import in JSON, CSV, GraphML and GEXF.
+// Every format is converted to and from one intermediate shape:
+//   { artists: [{ id, name, location, rating, explored, created_at, tags, aliases }],
+//     relationships: [{ artist_id, related_artist_id, type, direction, weight, source, notes }],
+//     tags: [{ name, color }] }
+// where ids are only meaningful within the file.
+const db = require('./database');
+const { parseCSV, formatCSV } = require('./csv');
+const { check } = require('./validation');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  graphml: { contentType: 'application/graphml+xml', extension: 'graphml' },
+  gexf: { contentType: 'application/gexf+xml', extension: 'gexf' }
+};
+
+// An artist record's tags and aliases, checked the way routes check tags
+const ARTIST_LIST_FIELDS = {
+  tags: { type: 'stringList' },
+  aliases: { type: 'stringList' }
+};
+
+const CSV_COLUMNS = [
+  'record', 'id', 'name', 'location', 'rating', 'explored', 'created_at', 'tags', 'aliases', 'color',
+  'artist_id', 'related_artist_id', 'type', 'direction', 'weight', 'source', 'notes'
+];
+
+// Gather everything worth exporting into the intermediate shape
+function collectExportData() {
+  const { artists, relationships, tags } = db.getGraphData();
+  const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+
+  const aliasesByArtist = new Map();
+  for (const alias of db.getAllAliases()) {
+    if (!aliasesByArtist.has(alias.artist_id)) {
+      aliasesByArtist.set(alias.artist_id, []);
+    }
+    aliasesByArtist.get(alias.artist_id).push(alias.alias);
+  }
+
+  return {
+    artists: artists.map(artist => ({
+      id: artist.id,
+      name: artist.name,
+      location: artist.location,
+      rating: artist.rating,
+      explored: artist.explored === 1,
+      created_at: artist.created_at,
+      tags: artist.tags.map(id => tagNames.get(id)),
+      aliases: aliasesByArtist.get(artist.id) || []
+    })),
+    // Each pair is stored twice; keep one row, oriented source -> target when directed
+    relationships: relationships
+      .filter(rel => rel.direction === 'outgoing' || (rel.direction === 'none' && rel.artist_id < rel.related_artist_id))
+      .map(({ artist_id, related_artist_id, type, direction, weight, source, notes }) => ({
+        artist_id, related_artist_id, type, direction, weight, source, notes
+      })),
+    tags: tags.map(({ name, color }) => ({ name, color }))
+  };
+}
+
+// Escape text for XML attributes and content
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toJSON(data) {
+  return JSON.stringify({ format: 'artist-path-explorer', version: 1, exported_at: new Date().toISOString(), ...data }, null, 2);
+}
+
+function toCSV(data) {
+  const rows = [CSV_COLUMNS];
+  const row = values => CSV_COLUMNS.map(column => values[column]);
+
+  for (const tag of data.tags) {
+    rows.push(row({ record: 'tag', name: tag.name, color: tag.color }));
+  }
+  for (const artist of data.artists) {
+    rows.push(row({
+      ...artist,
+      record: 'artist',
+      explored: artist.explored ? 1 : 0,
+      tags: artist.tags.join('; '),
+      aliases: artist.aliases.join('; ')
+    }));
+  }
+  for (const rel of data.relationships) {
+    rows.push(row({ ...rel, record: 'relationship' }));
+  }
+
+  return formatCSV(rows);
+}
+
+function toGraphML(data) {
+  const nodeKeys = [
+    ['label', 'string'], ['location', 'string'], ['rating', 'int'], ['explored', 'boolean'],
+    ['tags', 'string'], ['aliases', 'string'], ['created_at', 'string']
+  ];
+  const edgeKeys = [['type', 'string'], ['weight', 'double'], ['origin', 'string'], ['notes', 'string']];
+  const dataTag = (key, value) => (value === null || value === undefined || value === ''
+    ? ''
+    : `\n      <data key="${key}">${escapeXML(value)}</data>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+    ...edgeKeys.map(([name, type]) => `  <key id="${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+    '  <graph id="artists" edgedefault="undirected">'
+  ];
+
+  for (const artist of data.artists) {
+    lines.push(`    <node id="n${artist.id}">` +
+      dataTag('label', artist.name) +
+      dataTag('location', artist.location) +
+      dataTag('rating', artist.rating) +
+      dataTag('explored', artist.explored) +
+      dataTag('tags', artist.tags.join('; ')) +
+      dataTag('aliases', artist.aliases.join('; ')) +
+      dataTag('created_at', artist.created_at) +
+      '\n    </node>');
+  }
+
+  data.relationships.forEach((rel, index) => {
+    const directed = rel.direction === 'outgoing' ? ' directed="true"' : '';
+    lines.push(`    <edge id="e${index}" source="n${rel.artist_id}" target="n${rel.related_artist_id}"${directed}>` +
+      dataTag('type', rel.type) +
+      dataTag('weight', rel.weight) +
+      dataTag('origin', rel.source) +
+      dataTag('notes', rel.notes) +
+      '\n    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGEXF(data) {
+  const nodeAttributes = [
+    ['location', 'string'], ['rating', 'integer'], ['explored', 'boolean'],
+    ['tags', 'string'], ['aliases', 'string'], ['created_at', 'string']
+  ];
+  const edgeAttributes = [['type', 'string'], ['origin', 'string'], ['notes', 'string']];
+  const attvalues = values => {
+    const present = Object.entries(values).filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) return '';
+    return '\n        <attvalues>' +
+      present.map(([key, value]) => `\n          <attvalue for="${key}" value="${escapeXML(value)}"/>`).join('') +
+      '\n        </attvalues>\n      ';
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    '    <creator>Artist Path Explorer</creator>',
+    '  </meta>',
+    '  <graph defaultedgetype="undirected" mode="static">',
+    '    <attributes class="node">',
+    ...nodeAttributes.map(([id, type]) => `      <attribute id="${id}" title="${id}" type="${type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge">',
+    ...edgeAttributes.map(([id, type]) => `      <attribute id="${id}" title="${id}" type="${type}"/>`),
+    '    </attributes>',
+    '    <nodes>'
+  ];
+
+  for (const artist of data.artists) {
+    lines.push(`      <node id="${artist.id}" label="${escapeXML(artist.name)}">` + attvalues({
+      location: artist.location,
+      rating: artist.rating,
+      explored: artist.explored,
+      tags: artist.tags.join('; '),
+      aliases: artist.aliases.join('; '),
+      created_at: artist.created_at
+    }) + '</node>');
+  }
+
+  lines.push('    </nodes>', '    <edges>');
+
+  data.relationships.forEach((rel, index) => {
+    const edgeType = rel.direction === 'outgoing' ? 'directed' : 'undirected';
+    lines.push(`      <edge id="${index}" source="${rel.artist_id}" target="${rel.related_artist_id}" type="${edgeType}" weight="${rel.weight}">` +
+      attvalues({ type: rel.type, origin: rel.source, notes: rel.notes }) + '</edge>');
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+// Export the whole database in the given format
+function exportGraph(format) {
+  const data = collectExportData();
+
+  switch (format) {
+    case 'json': return toJSON(data);
+    case 'csv': return toCSV(data);
+    case 'graphml': return toGraphML(data);
+    case 'gexf': return toGEXF(data);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// Minimal XML parser: enough for GraphML and GEXF files (elements,
+// attributes, text, CDATA; comments and declarations are skipped). Scans the
+// text once, so run time stays linear however the input is malformed.
+function parseXML(text) {
+  const decode = value => value.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+    const named = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    if (entity[0] !== '#') return named[entity.toLowerCase()];
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1)));
+  });
+  const localName = name => name.replace(/^.*:/, '');
+  const isSpace = char => char === ' ' || char === '\t' || char === '\n' || char === '\r';
+
+  // Index just past the next `terminator`, or throw naming what is unterminated
+  const skipPast = (from, terminator, what) => {
+    const end = text.indexOf(terminator, from);
+    if (end === -1) {
+      throw new Error(`Malformed XML: unterminated ${what}`);
+    }
+    return end + terminator.length;
+  };
+
+  // Index of the ">" ending the tag that starts at `from`, skipping quoted values
+  const tagEnd = from => {
+    let quote = null;
+    for (let index = from; index < text.length; index++) {
+      const char = text[index];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return index;
+      } else if (char === '<') {
+        break;
+      }
+    }
+    throw new Error('Malformed XML: unterminated tag');
+  };
+
+  // Parse `name="value"` pairs from the inside of a start tag
+  const parseAttributes = (source, tag) => {
+    const attributes = {};
+    let index = 0;
+    while (index < source.length) {
+      if (isSpace(source[index])) {
+        index++;
+        continue;
+      }
+      const nameStart = index;
+      while (index < source.length && !isSpace(source[index]) && source[index] !== '=') index++;
+      const name = source.slice(nameStart, index);
+      while (index < source.length && isSpace(source[index])) index++;
+      if (!name || source[index] !== '=') {
+        throw new Error(`Malformed XML: bad attribute in <${tag}>`);
+      }
+      index++;
+      while (index < source.length && isSpace(source[index])) index++;
+      const quote = source[index];
+      const valueEnd = quote === '"' || quote === "'" ? source.indexOf(quote, index + 1) : -1;
+      if (valueEnd === -1) {
+        throw new Error(`Malformed XML: bad attribute in <${tag}>`);
+      }
+      attributes[localName(name)] = decode(source.slice(index + 1, valueEnd));
+      index = valueEnd + 1;
+    }
+    return attributes;
+  };
+
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  while (position < text.length) {
+    const current = stack[stack.length - 1];
+
+    if (text[position] !== '<') {
+      const next = text.indexOf('<', position);
+      const end = next === -1 ? text.length : next;
+      current.text += decode(text.slice(position, end));
+      position = end;
+    } else if (text.startsWith('<!--', position)) {
+      position = skipPast(position + 4, '-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', position)) {
+      const end = skipPast(position + 9, ']]>', 'CDATA section');
+      current.text += text.slice(position + 9, end - 3);
+      position = end;
+    } else if (text.startsWith('<?', position)) {
+      position = skipPast(position + 2, '?>', 'declaration');
+    } else if (text.startsWith('<!', position)) {
+      position = skipPast(position + 2, '>', 'declaration');
+    } else {
+      const end = tagEnd(position + 1);
+      const tag = text.slice(position + 1, end);
+      position = end + 1;
+
+      if (tag[0] === '/') {
+        const closeName = tag.slice(1).trim();
+        if (stack.length > 1 && current.name === localName(closeName)) {
+          stack.pop();
+        } else {
+          throw new Error(`Malformed XML: unexpected </${closeName}>`);
+        }
+        continue;
+      }
+
+      const selfClosing = tag.endsWith('/');
+      const body = selfClosing ? tag.slice(0, -1) : tag;
+      let nameEnd = 0;
+      while (nameEnd < body.length && !isSpace(body[nameEnd])) nameEnd++;
+      const openName = body.slice(0, nameEnd);
+      if (!openName) {
+        throw new Error('Malformed XML: tag without a name');
+      }
+
+      const element = { name: localName(openName), attributes: parseAttributes(body.slice(nameEnd), openName), children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed`);
+  }
+
+  return root;
+}
+
+// Find all descendant elements with the given name
+function findElements(element, name) {
+  const found = [];
+  for (const child of element.children) {
+    if (child.name === name) found.push(child);
+    found.push(...findElements(child, name));
+  }
+  return found;
+}
+
+// Split a "jazz; bebop" style list; lists already split are just trimmed
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => item.trim()).filter(Boolean);
+  }
+  return value ? String(value).split(';').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// Parse a boolean-ish value; missing values stay undefined so they don't overwrite anything
+function parseBoolean(value) {
+  if (value === null || value === undefined || value === '') return undefined;
+  return value === true || value === 1 || /^(true|1|yes)$/i.test(String(value).trim());
+}
+
+function parseNumber(value) {
+  return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+function fromJSON(data) {
+  if (!data || !Array.isArray(data.artists)) {
+    throw new Error('JSON import must contain an "artists" array');
+  }
+
+  return {
+    artists: data.artists,
+    relationships: data.relationships || [],
+    tags: data.tags || []
+  };
+}
+
+function fromCSV(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header || !header.includes('record')) {
+    throw new Error(`CSV import needs a header row with the columns: ${CSV_COLUMNS.join(', ')}`);
+  }
+
+  const records = rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i] ?? ''])));
+  const data = { artists: [], relationships: [], tags: [] };
+
+  for (const record of records) {
+    if (record.record === 'tag') {
+      data.tags.push({ name: record.name, color: record.color || null });
+    } else if (record.record === 'artist') {
+      data.artists.push({
+        id: record.id,
+        name: record.name,
+        location: record.location || null,
+        rating: parseNumber(record.rating),
+        explored: parseBoolean(record.explored),
+        tags: splitList(record.tags),
+        aliases: splitList(record.aliases)
+      });
+    } else if (record.record === 'relationship') {
+      data.relationships.push({
+        artist_id: record.artist_id,
+        related_artist_id: record.related_artist_id,
+        type: record.type || null,
+        direction: record.direction || null,
+        weight: parseNumber(record.weight),
+        source: record.source || null,
+        notes: record.notes || null
+      });
+    }
+  }
+
+  return data;
+}
+
+function fromGraphML(root) {
+  const keys = new Map(findElements(root, 'key').map(key => [key.attributes.id, key.attributes['attr.name'] || key.attributes.id]));
+  const graph = findElements(root, 'graph')[0];
+  if (!graph) {
+    throw new Error('GraphML file has no <graph> element');
+  }
+  const defaultDirected = graph.attributes.edgedefault === 'directed';
+
+  const readData = element => Object.fromEntries(
+    element.children.filter(child => child.name === 'data').map(child => [keys.get(child.attributes.key) || child.attributes.key, child.text.trim()])
+  );
+
+  const artists = findElements(graph, 'node').map(node => {
+    const values = readData(node);
+    return {
+      id: node.attributes.id,
+      name: values.label || values.name || node.attributes.id,
+      location: values.location || null,
+      rating: parseNumber(values.rating),
+      explored: parseBoolean(values.explored),
+      tags: splitList(values.tags),
+      aliases: splitList(values.aliases)
+    };
+  });
+
+  const relationships = findElements(graph, 'edge').map(edge => {
+    const values = readData(edge);
+    const directed = edge.attributes.directed !== undefined ? parseBoolean(edge.attributes.directed) : defaultDirected;
+    return {
+      artist_id: edge.attributes.source,
+      related_artist_id: edge.attributes.target,
+      type: values.type || null,
+      direction: directed ? 'outgoing' : 'none',
+      weight: parseNumber(values.weight),
+      source: values.origin || values.source || null,
+      notes: values.notes || null
+    };
+  });
+
+  return { artists, relationships, tags: [] };
+}
+
+function fromGEXF(root) {
+  const graph = findElements(root, 'graph')[0];
+  if (!graph) {
+    throw new Error('GEXF file has no <graph> element');
+  }
+  const defaultDirected = graph.attributes.defaultedgetype === 'directed';
+
+  // Attribute ids map to titles, separately for nodes and edges
+  const titles = { node: new Map(), edge: new Map() };
+  for (const group of findElements(graph, 'attributes')) {
+    const target = titles[group.attributes.class] || titles.node;
+    for (const attribute of group.children.filter(child => child.name === 'attribute')) {
+      target.set(attribute.attributes.id, attribute.attributes.title || attribute.attributes.id);
+    }
+  }
+
+  const readValues = (element, map) => Object.fromEntries(
+    findElements(element, 'attvalue').map(value => [map.get(value.attributes.for) || value.attributes.for, value.attributes.value])
+  );
+
+  const artists = findElements(graph, 'node').map(node => {
+    const values = readValues(node, titles.node);
+    return {
+      id: node.attributes.id,
+      name: node.attributes.label || node.attributes.id,
+      location: values.location || null,
+      rating: parseNumber(values.rating),
+      explored: parseBoolean(values.explored),
+      tags: splitList(values.tags),
+      aliases: splitList(values.aliases)
+    };
+  });
+
+  const relationships = findElements(graph, 'edge').map(edge => {
+    const values = readValues(edge, titles.edge);
+    const edgeType = edge.attributes.type;
+    const directed = edgeType ? edgeType === 'directed' : defaultDirected;
+    return {
+      artist_id: edge.attributes.source,
+      related_artist_id: edge.attributes.target,
+      type: values.type || null,
+      direction: directed ? 'outgoing' : 'none',
+      weight: parseNumber(edge.attributes.weight ?? values.weight),
+      source: values.origin || values.source || null,
+      notes: values.notes || null
+    };
+  });
+
+  return { artists, relationships, tags: [] };
+}
+
+// Work out the format of an uploaded body from its content
+function detectFormat(body) {
+  if (typeof body === 'object' && body !== null) return 'json';
+
+  const text = String(body).trimStart();
+  if (text.startsWith('{')) return 'json';
+  if (/<gexf[\s>]/.test(text)) return 'gexf';
+  if (/<graphml[\s>]/.test(text)) return 'graphml';
+  return 'csv';
+}
+
+// Parse an uploaded body into the intermediate shape
+function parseImport(format, body) {
+  switch (format) {
+    case 'json': return fromJSON(typeof body === 'string' ? JSON.parse(body) : body);
+    case 'csv': return fromCSV(String(body));
+    case 'graphml': return fromGraphML(parseXML(String(body)));
+    case 'gexf': return fromGEXF(parseXML(String(body)));
+    default: throw new Error(`Unknown import format: ${format}`);
+  }
+}
+
+// Reconcile imported data against the database: artists are matched by name
+// or alias the way getOrCreateArtist does, existing records are updated only
+// when the import carries different values. Runs in a single transaction.
+function importGraph(format, body) {
+  const data = parseImport(format, body);
+  const report = {
+    format,
+    artists: { created: 0, updated: 0, skipped: 0 },
+    relationships: { created: 0, updated: 0, skipped: 0 },
+    errors: []
+  };
+
+  db.transaction(() => {
+    for (const tag of data.tags) {
+      if (tag.name) {
+        db.getOrCreateTag(String(tag.name).trim(), tag.color || null);
+      }
+    }
+
+    // File-local id -> database artist id
+    const idMap = new Map();
+
+    data.artists.forEach((record, index) => {
+      const name = String(record.name || '').trim();
+      if (!name) {
+        report.errors.push({ record: `artist #${index + 1}`, error: 'Missing name' });
+        report.artists.skipped++;
+        return;
+      }
+
+      let lists;
+      try {
+        lists = check(ARTIST_LIST_FIELDS, record);
+      } catch (error) {
+        report.errors.push({ record: name, error: error.message });
+        report.artists.skipped++;
+        return;
+      }
+      const tags = splitList(lists.tags);
+      const aliases = splitList(lists.aliases);
+
+      const existing = db.findArtistByName(name);
+      const artist = existing || db.getOrCreateArtist(name, record.location || null);
+      idMap.set(String(record.id ?? name), artist.id);
+
+      const changes = {};
+      if (record.location && record.location !== artist.location) {
+        changes.location = record.location;
+      }
+      if (record.rating !== null && record.rating !== undefined) {
+        if (Number.isInteger(record.rating) && record.rating >= 1 && record.rating <= 10) {
+          if (record.rating !== artist.rating) changes.rating = record.rating;
+        } else {
+          report.errors.push({ record: name, error: `Ignored invalid rating "${record.rating}"` });
+        }
+      }
+      if (record.explored !== undefined && record.explored !== null && (record.explored ? 1 : 0) !== artist.explored) {
+        changes.explored = record.explored;
+      }
+      if (Object.keys(changes).length > 0) {
+        db.updateArtist(artist.id, changes);
+      }
+
+      const tagCount = db.getArtistTags(artist.id).length;
+      for (const tagName of tags) {
+        db.addArtistTag(artist.id, db.getOrCreateTag(tagName).id);
+      }
+      const tagsChanged = db.getArtistTags(artist.id).length !== tagCount;
+
+      let aliasesChanged = false;
+      for (const alias of aliases) {
+        const owner = db.findArtistByName(alias);
+        if (!owner) {
+          aliasesChanged = db.addArtistAlias(artist.id, alias) || aliasesChanged;
+        } else if (owner.id !== artist.id) {
+          report.errors.push({ record: name, error: `Alias "${alias}" already belongs to "${owner.name}"` });
+        }
+      }
+
+      if (!existing) {
+        report.artists.created++;
+      } else if (Object.keys(changes).length > 0 || tagsChanged || aliasesChanged) {
+        report.artists.updated++;
+      } else {
+        report.artists.skipped++;
+      }
+    });
+
+    data.relationships.forEach((record, index) => {
+      const label = `relationship #${index + 1}`;
+      const artistId = idMap.get(String(record.artist_id));
+      const relatedId = idMap.get(String(record.related_artist_id));
+
+      if (!artistId || !relatedId) {
+        report.errors.push({ record: label, error: 'References an artist that is not in the file' });
+        report.relationships.skipped++;
+        return;
+      }
+      if (artistId === relatedId) {
+        report.errors.push({ record: label, error: 'Connects an artist to itself' });
+        report.relationships.skipped++;
+        return;
+      }
+
+      const metadata = {
+        type: db.RELATIONSHIP_TYPES[record.type] ? record.type : 'related',
+        direction: db.REVERSE_DIRECTION[record.direction] ? record.direction : 'none',
+        weight: typeof record.weight === 'number' && record.weight > 0 && record.weight <= 10 ? record.weight : 1,
+        source: record.source ?? null,
+        notes: record.notes ?? null
+      };
+      if (record.type && metadata.type !== record.type) {
+        report.errors.push({ record: label, error: `Unknown type "${record.type}" imported as "related"` });
+      }
+
+      const existing = db.getRelationship(artistId, relatedId);
+      if (!existing) {
+        try {
+          db.addRelationship(artistId, relatedId, metadata);
+          report.relationships.created++;
+        } catch (error) {
+          report.errors.push({ record: label, error: `Could not create the relationship: ${error.message}` });
+          report.relationships.skipped++;
+        }
+      } else if (Object.keys(metadata).some(field => metadata[field] !== existing[field])) {
+        db.updateRelationship(artistId, relatedId, metadata);
+        report.relationships.updated++;
+      } else {
+        report.relationships.skipped++;
+      }
+    });
+  });
+
+  return report;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportGraph,
+  detectFormat,
+  importGraph
+};
@@ -0,0 +1,30 @@
+// Initial schema: artists and the relationships between them.
+// Uses IF NOT EXISTS so databases created before migrations existed upgrade cleanly.
+module.exports = {
+  up(db) {
+    // Create artists table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS artists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        location TEXT,
+        rating INTEGER DEFAULT 5 CHECK(rating >= 1 AND rating <= 10),
+        explored INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create relationships table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS relationships (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        related_artist_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (artist_id) REFERENCES artists (id),
+        FOREIGN KEY (related_artist_id) REFERENCES artists (id),
+        UNIQUE(artist_id, related_artist_id)
+      )
+    `);
+  }
+};
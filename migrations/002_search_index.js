@@ -0,0 +1,33 @@
+// Full-text search index over artist names and locations. Diacritics are
+// folded so "Bjork" matches "Björk"; triggers keep it in sync with artists.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS artists_fts USING fts5(
+        name,
+        location,
+        content='artists',
+        content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS artists_fts_vocab USING fts5vocab(artists_fts, 'row');
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_insert AFTER INSERT ON artists BEGIN
+        INSERT INTO artists_fts (rowid, name, location) VALUES (new.id, new.name, new.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_delete AFTER DELETE ON artists BEGIN
+        INSERT INTO artists_fts (artists_fts, rowid, name, location) VALUES ('delete', old.id, old.name, old.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_update AFTER UPDATE ON artists BEGIN
+        INSERT INTO artists_fts (artists_fts, rowid, name, location) VALUES ('delete', old.id, old.name, old.location);
+        INSERT INTO artists_fts (rowid, name, location) VALUES (new.id, new.name, new.location);
+      END;
+    `);
+
+    // Index artists that existed before the search index
+    db.exec(`INSERT INTO artists_fts (artists_fts) VALUES ('rebuild')`);
+  }
+};
@@ -0,0 +1,15 @@
+// Alternate spellings that resolve to an artist, keyed by normalized name
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS artist_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        alias TEXT NOT NULL,
+        normalized_alias TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (artist_id) REFERENCES artists (id)
+      )
+    `);
+  }
+};
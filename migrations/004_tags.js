@@ -0,0 +1,26 @@
+// Tags (genres, scenes, labels...) and their many-to-many link to artists.
+// An artist's primary tag is the one assigned first (lowest artist_tags.id).
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        color TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE artist_tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (artist_id) REFERENCES artists (id),
+        FOREIGN KEY (tag_id) REFERENCES tags (id),
+        UNIQUE(artist_id, tag_id)
+      )
+    `);
+  }
+};
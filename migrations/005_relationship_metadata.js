@@ -0,0 +1,16 @@
+// Relationship metadata. Both stored rows of a pair carry the same metadata;
+// `direction` is relative to the row, so a directed pair is stored as
+// (A, B, 'outgoing') and (B, A, 'incoming').
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE relationships ADD COLUMN type TEXT NOT NULL DEFAULT 'related';
+      ALTER TABLE relationships ADD COLUMN direction TEXT NOT NULL DEFAULT 'none'
+        CHECK(direction IN ('none', 'outgoing', 'incoming'));
+      ALTER TABLE relationships ADD COLUMN weight REAL NOT NULL DEFAULT 1
+        CHECK(weight > 0 AND weight <= 10);
+      ALTER TABLE relationships ADD COLUMN source TEXT;
+      ALTER TABLE relationships ADD COLUMN notes TEXT;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Spotify identity and listening history. Plays are stored one row per stream
+// so re-importing the same export never double-counts; per-artist play counts
+// are aggregated from them.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE artists ADD COLUMN spotify_id TEXT;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_artists_spotify_id ON artists (spotify_id)
+        WHERE spotify_id IS NOT NULL;
+
+      CREATE TABLE IF NOT EXISTS plays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        played_at TEXT NOT NULL,
+        track TEXT NOT NULL DEFAULT '',
+        ms_played INTEGER NOT NULL DEFAULT 0,
+        FOREIGN KEY (artist_id) REFERENCES artists (id),
+        UNIQUE(artist_id, played_at, track)
+      );
+      CREATE INDEX IF NOT EXISTS idx_plays_artist ON plays (artist_id);
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Exploration history. The explored flag and rating are still stored on the
+// artist; every change to them is also logged here with a timestamp (and an
+// optional note), and explored_at records when the artist was last explored.
+// Artists explored before this migration have no explored_at.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE artists ADD COLUMN explored_at DATETIME;
+
+      CREATE TABLE IF NOT EXISTS exploration_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        artist_id INTEGER NOT NULL,
+        event TEXT NOT NULL CHECK(event IN ('explored', 'unexplored', 'rated', 'note')),
+        rating INTEGER,
+        previous_rating INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (artist_id) REFERENCES artists (id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_exploration_log_artist ON exploration_log (artist_id, created_at);
+    `);
+  }
+};
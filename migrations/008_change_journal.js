@@ -0,0 +1,34 @@
+// Change journal for undo/redo. Each journaled request is a change set; the
+// row-level changes it made are captured by triggers (installed at startup by
+// database.js, since they list every column) into change_log as JSON copies
+// of the row before and after. journal_state holds the change set being
+// recorded, or NULL when nothing is.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS change_sets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        label TEXT NOT NULL,
+        undone INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS change_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        change_set_id INTEGER NOT NULL,
+        table_name TEXT NOT NULL,
+        row_id INTEGER NOT NULL,
+        old_values TEXT,
+        new_values TEXT,
+        FOREIGN KEY (change_set_id) REFERENCES change_sets (id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_change_log_set ON change_log (change_set_id);
+
+      CREATE TABLE IF NOT EXISTS journal_state (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        change_set_id INTEGER
+      );
+      INSERT OR IGNORE INTO journal_state (id, change_set_id) VALUES (1, NULL);
+    `);
+  }
+};
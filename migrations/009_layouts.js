@@ -0,0 +1,30 @@
+// Saved layouts: named sets of node positions plus the zoom and pan they were
+// saved with. Layouts are view state, so they aren't journaled for undo; their
+// positions cascade away with the layout or artist so that undoing an artist's
+// creation (a plain DELETE) isn't blocked by a saved position.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS layouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        zoom REAL NOT NULL DEFAULT 1,
+        pan_x REAL NOT NULL DEFAULT 0,
+        pan_y REAL NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS layout_positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        layout_id INTEGER NOT NULL,
+        artist_id INTEGER NOT NULL,
+        x REAL NOT NULL,
+        y REAL NOT NULL,
+        FOREIGN KEY (layout_id) REFERENCES layouts (id) ON DELETE CASCADE,
+        FOREIGN KEY (artist_id) REFERENCES artists (id) ON DELETE CASCADE,
+        UNIQUE(layout_id, artist_id)
+      );
+    `);
+  }
+};
@@ -0,0 +1,89 @@
+// Workspaces: separate explorations, each with its own artists (and so its
+// own relationships, aliases, layouts and undo history). Existing data moves
+// into a "Default" workspace. Artist names, Spotify IDs, aliases and layout
+// names become unique per workspace, which means rebuilding those tables; the
+// runner turns foreign keys off for this so dropping the old tables doesn't
+// cascade into the rows that reference them. Tags stay shared.
+module.exports = {
+  foreignKeys: false,
+
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT OR IGNORE INTO workspaces (id, name) VALUES (1, 'Default');
+
+      CREATE TABLE artists_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL DEFAULT 1,
+        name TEXT NOT NULL,
+        location TEXT,
+        rating INTEGER DEFAULT 5 CHECK(rating >= 1 AND rating <= 10),
+        explored INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        spotify_id TEXT,
+        explored_at DATETIME,
+        FOREIGN KEY (workspace_id) REFERENCES workspaces (id),
+        UNIQUE(workspace_id, name)
+      );
+      INSERT INTO artists_new (id, name, location, rating, explored, created_at, spotify_id, explored_at)
+        SELECT id, name, location, rating, explored, created_at, spotify_id, explored_at FROM artists;
+      DROP TABLE artists;
+      ALTER TABLE artists_new RENAME TO artists;
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_artists_spotify_id ON artists (workspace_id, spotify_id)
+        WHERE spotify_id IS NOT NULL;
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_insert AFTER INSERT ON artists BEGIN
+        INSERT INTO artists_fts (rowid, name, location) VALUES (new.id, new.name, new.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_delete AFTER DELETE ON artists BEGIN
+        INSERT INTO artists_fts (artists_fts, rowid, name, location) VALUES ('delete', old.id, old.name, old.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS artists_fts_update AFTER UPDATE ON artists BEGIN
+        INSERT INTO artists_fts (artists_fts, rowid, name, location) VALUES ('delete', old.id, old.name, old.location);
+        INSERT INTO artists_fts (rowid, name, location) VALUES (new.id, new.name, new.location);
+      END;
+
+      CREATE TABLE artist_aliases_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL DEFAULT 1,
+        artist_id INTEGER NOT NULL,
+        alias TEXT NOT NULL,
+        normalized_alias TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (artist_id) REFERENCES artists (id),
+        UNIQUE(workspace_id, normalized_alias)
+      );
+      INSERT INTO artist_aliases_new (id, artist_id, alias, normalized_alias, created_at)
+        SELECT id, artist_id, alias, normalized_alias, created_at FROM artist_aliases;
+      DROP TABLE artist_aliases;
+      ALTER TABLE artist_aliases_new RENAME TO artist_aliases;
+
+      CREATE TABLE layouts_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL DEFAULT 1,
+        name TEXT NOT NULL COLLATE NOCASE,
+        zoom REAL NOT NULL DEFAULT 1,
+        pan_x REAL NOT NULL DEFAULT 0,
+        pan_y REAL NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workspace_id) REFERENCES workspaces (id),
+        UNIQUE(workspace_id, name)
+      );
+      INSERT INTO layouts_new (id, name, zoom, pan_x, pan_y, created_at, updated_at)
+        SELECT id, name, zoom, pan_x, pan_y, created_at, updated_at FROM layouts;
+      DROP TABLE layouts;
+      ALTER TABLE layouts_new RENAME TO layouts;
+
+      ALTER TABLE change_sets ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+      CREATE INDEX IF NOT EXISTS idx_change_sets_workspace ON change_sets (workspace_id, undone);
+    `);
+  }
+};
@@ -0,0 +1,58 @@
+// Local accounts. Ratings and the explored flag become per user: they move
+// from artists into user_artist_state, and exploration log events record whose
+// they are. State from before accounts existed has no user until the first
+// account is created, which takes it over. Sessions are stored by a hash of
+// their token. Change sets record who made them, so each user undoes only
+// their own changes. The undo journal is cleared, since its entries hold the
+// artist columns this removes and don't record who made them.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS user_artist_state (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        artist_id INTEGER NOT NULL,
+        rating INTEGER CHECK(rating >= 1 AND rating <= 10),
+        explored INTEGER NOT NULL DEFAULT 0,
+        explored_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (artist_id) REFERENCES artists (id),
+        UNIQUE(user_id, artist_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_user_artist_state_artist ON user_artist_state (artist_id);
+
+      INSERT INTO user_artist_state (user_id, artist_id, rating, explored, explored_at)
+        SELECT NULL, id, rating, COALESCE(explored, 0), explored_at FROM artists
+        WHERE rating IS NOT NULL OR explored = 1 OR explored_at IS NOT NULL;
+
+      ALTER TABLE exploration_log ADD COLUMN user_id INTEGER REFERENCES users (id);
+
+      DELETE FROM change_log;
+      DELETE FROM change_sets;
+      ALTER TABLE change_sets ADD COLUMN user_id INTEGER REFERENCES users (id);
+      DROP INDEX IF EXISTS idx_change_sets_workspace;
+      CREATE INDEX IF NOT EXISTS idx_change_sets_user ON change_sets (workspace_id, user_id, undone);
+      CREATE INDEX IF NOT EXISTS idx_change_log_row ON change_log (table_name, row_id);
+
+      ALTER TABLE artists DROP COLUMN rating;
+      ALTER TABLE artists DROP COLUMN explored;
+      ALTER TABLE artists DROP COLUMN explored_at;
+    `);
+  }
+};
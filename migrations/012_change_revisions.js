@@ -0,0 +1,11 @@
+// Revisions for graph changes. Every time a change set is recorded, undone or
+// redone it gets the next number from journal_state's counter, so clients can
+// tell one change apart from another across server restarts.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE journal_state ADD COLUMN revision INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE change_sets ADD COLUMN revision INTEGER;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// Each artist's normalized name (see normalizeName in database.js), indexed so
+// matching a name against the workspace is a lookup rather than a scan.
+// normalize_name() is the same function, registered on the connection before
+// migrations run. Journaled artist rows get the column too, so undo restores
+// it along with the rest of the row.
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE artists ADD COLUMN normalized_name TEXT;
+      UPDATE artists SET normalized_name = normalize_name(name);
+      CREATE INDEX IF NOT EXISTS idx_artists_normalized_name ON artists (workspace_id, normalized_name);
+
+      UPDATE change_log SET old_values = json_set(old_values, '$.normalized_name', normalize_name(old_values ->> '$.name'))
+        WHERE table_name = 'artists' AND old_values IS NOT NULL;
+      UPDATE change_log SET new_values = json_set(new_values, '$.normalized_name', normalize_name(new_values ->> '$.name'))
+        WHERE table_name = 'artists' AND new_values IS NOT NULL;
+    `);
+  }
+};
@@ -2,62 +2,89 @@
 let cy = null;
 let currentArtistId = null;
 let allArtists = [];
-let currentRating = 5;
-
-// Proper CSV parser that handles quotes, escaping, and newlines
-function parseCSV(csvText) {
-    const rows = [];
-    let currentRow = [];
-    let currentField = '';
-    let insideQuotes = false;
-
-    for (let i = 0; i < csvText.length; i++) {
-        const char = csvText[i];
-        const nextChar = csvText[i + 1];
-
-        if (char === '"') {
-            if (insideQuotes && nextChar === '"') {
-                // Escaped quote - add one quote to field
-                currentField += '"';
-                i++; // Skip next quote
-            } else {
-                // Toggle quote state
-                insideQuotes = !insideQuotes;
-            }
-        } else if (char === ',' && !insideQuotes) {
-            // End of field
-            currentRow.push(currentField.trim());
-            currentField = '';
-        } else if ((char === '\n' || char === '\r') && !insideQuotes) {
-            // End of row
-            if (char === '\r' && nextChar === '\n') {
-                i++; // Skip \n in \r\n
-            }
-            if (currentField || currentRow.length > 0) {
-                currentRow.push(currentField.trim());
-                if (currentRow.some(field => field)) {
-                    rows.push(currentRow);
-                }
-                currentRow = [];
-                currentField = '';
-            }
-        } else {
-            // Regular character
-            currentField += char;
-        }
-    }
-
-    // Add last field and row if any
-    if (currentField || currentRow.length > 0) {
-        currentRow.push(currentField.trim());
-        if (currentRow.some(field => field)) {
-            rows.push(currentRow);
-        }
-    }
-
-    return rows;
+let currentRating = null;
+let currentPaths = [];
+let currentPathIndex = 0;
+let focusArtistId = null;
+let allTags = [];
+let colorMode = 'explored';
+let sizeMode = 'rating';
+let analyticsById = new Map();
+let analyticsMax = {};
+let allClusters = [];
+let recommendations = [];
+let highlightRecommended = false;
+let collapsedClusters = new Set();
+let tagFilterId = null;
+let csvMapping = null;
+let csvHeader = 'auto';
+let csvPreviewText = null;
+let savedLayouts = [];
+let activeLayout = null;
+let workspaces = [];
+let currentWorkspaceId = 1;
+let currentUser = null;
+let users = [];
+let artistFormBase = null;
+let changeStream = null;
+let changeStreamDropped = false;
+
+// Edge appearance per relationship type
+const RELATIONSHIP_STYLES = {
+    related: { label: 'Related', color: '#555', lineStyle: 'solid' },
+    similar: { label: 'Similar', color: '#3498db', lineStyle: 'dashed' },
+    collaboration: { label: 'Collaborated with', color: '#9b59b6', lineStyle: 'solid' },
+    influence: { label: 'Influenced', color: '#e67e22', lineStyle: 'solid' },
+    member: { label: 'Member of', color: '#1abc9c', lineStyle: 'dotted' }
+};
+
+function getRelationshipStyle(ele) {
+    return RELATIONSHIP_STYLES[ele.data('type')] || RELATIONSHIP_STYLES.related;
 }
 
+// Metrics from /api/analytics that nodes can be sized, colored and ranked by
+const ANALYTICS_METRICS = {
+    degree: 'Degree',
+    betweenness: 'Betweenness',
+    closeness: 'Closeness',
+    pagerank: 'PageRank'
+};
+
+// Colors for connected components, largest first; the rest share the last one
+const COMPONENT_COLORS = ['#1db954', '#3498db', '#9b59b6', '#e67e22', '#e74c3c', '#1abc9c', '#f1c40f', '#555'];
+
+// Form inputs next to which field errors from the API are shown, by API field name
+const ARTIST_FORM_FIELDS = { name: 'artistName', location: 'location', rating: 'ratingStars', explored: 'explored' };
+const CSV_FORM_FIELDS = { csv: 'relatedArtistsCSV', type: 'relationType', direction: 'relationDirection' };
+const PATH_FORM_FIELDS = { from: 'pathFrom', to: 'pathTo', cost: 'pathCost', k: 'pathCount' };
+const SPOTIFY_FORM_FIELDS = { files: 'spotifyFiles', seed: 'spotifySeed', minPlays: 'spotifyMinPlays' };
+const EDGE_FORM_FIELDS = {
+    type: 'edgeTypeInput',
+    direction: 'edgeDirectionInput',
+    weight: 'edgeWeightInput',
+    source: 'edgeSourceInput',
+    notes: 'edgeNotesInput'
+};
+
+// Colors for detected clusters; single-artist clusters stay gray
+const CLUSTER_COLORS = [
+    '#1db954', '#3498db', '#9b59b6', '#e67e22', '#e74c3c',
+    '#1abc9c', '#f1c40f', '#e84393', '#00cec9', '#a29bfe'
+];
+
+// Fields the CSV importer can map columns onto
+const CSV_FIELD_LABELS = {
+    name: 'Name',
+    location: 'Location',
+    rating: 'Rating',
+    explored: 'Explored',
+    tags: 'Tags',
+    related: 'Related to'
+};
+
+// Pastes longer than this are previewed before they are imported
+const LARGE_CSV_LINES = 20;
+
 // Initialize app
 document.addEventListener('DOMContentLoaded', () => {
     // Register cola extension
@@ -67,9 +94,30 @@ document.addEventListener('DOMContentLoaded', () => {
 
     initGraph();
     initEventListeners();
-    loadGraphData();
+    initSession();
 });
 
+// Node size from the rating or, when sizing by a metric, its share of the highest value
+function getNodeSize(ele) {
+    if (ANALYTICS_METRICS[sizeMode]) {
+        return 30 + getMetricShare(ele, sizeMode) * 40;
+    }
+    const rating = ele.data('rating') || 5;
+    return 30 + (rating * 3);
+}
+
+// A node's metric value as a fraction (0-1) of the highest value in the graph
+function getMetricShare(ele, metric) {
+    const metrics = analyticsById.get(parseInt(ele.id()));
+    if (!metrics || !analyticsMax[metric]) return 0;
+    return metrics[metric] / analyticsMax[metric];
+}
+
+// Blue for low values through to yellow for high ones
+function getMetricColor(share) {
+    return `hsl(${Math.round(210 - share * 160)}, 70%, 50%)`;
+}
+
 // Initialize Cytoscape graph
 function initGraph() {
     cy = cytoscape({
@@ -80,6 +128,20 @@ function initGraph() {
                 selector: 'node',
                 style: {
                     'background-color': function(ele) {
+                        if (colorMode === 'tag') {
+                            const tag = getPrimaryTag(ele.data('tags'));
+                            return tag ? tag.color : '#555';
+                        }
+                        if (colorMode === 'cluster') {
+                            return getClusterColor(ele.data('cluster'));
+                        }
+                        if (colorMode === 'component') {
+                            const metrics = analyticsById.get(parseInt(ele.id()));
+                            return metrics ? COMPONENT_COLORS[Math.min(metrics.component, COMPONENT_COLORS.length - 1)] : '#555';
+                        }
+                        if (ANALYTICS_METRICS[colorMode]) {
+                            return getMetricColor(getMetricShare(ele, colorMode));
+                        }
                         const explored = ele.data('explored');
                         return explored ? '#1db954' : '#e67e22';
                     },
@@ -89,14 +151,8 @@ function initGraph() {
                     'text-halign': 'center',
                     'font-size': '12px',
                     'font-weight': 'bold',
-                    'width': function(ele) {
-                        const rating = ele.data('rating') || 5;
-                        return 30 + (rating * 3);
-                    },
-                    'height': function(ele) {
-                        const rating = ele.data('rating') || 5;
-                        return 30 + (rating * 3);
-                    },
+                    'width': getNodeSize,
+                    'height': getNodeSize,
                     'text-wrap': 'wrap',
                     'text-max-width': '80px',
                     'border-width': 3,
@@ -121,9 +177,22 @@ function initGraph() {
             {
                 selector: 'edge',
                 style: {
-                    'width': 2,
-                    'line-color': '#555',
-                    'target-arrow-color': '#555',
+                    'width': function(ele) {
+                        const weight = ele.data('weight') || 1;
+                        return 1.5 + (weight * 0.5);
+                    },
+                    'line-color': function(ele) {
+                        return getRelationshipStyle(ele).color;
+                    },
+                    'line-style': function(ele) {
+                        return getRelationshipStyle(ele).lineStyle;
+                    },
+                    'target-arrow-color': function(ele) {
+                        return getRelationshipStyle(ele).color;
+                    },
+                    'target-arrow-shape': function(ele) {
+                        return ele.data('directed') ? 'triangle' : 'none';
+                    },
                     'curve-style': 'bezier',
                     'opacity': 0.6,
                     'transition-property': 'line-color, width, opacity',
@@ -138,6 +207,87 @@ function initGraph() {
                     'opacity': 1
                 }
             },
+            {
+                selector: 'node.cluster-node',
+                style: {
+                    'shape': 'round-rectangle',
+                    'background-color': function(ele) {
+                        return getClusterColor(ele.data('cluster'));
+                    },
+                    'width': function(ele) {
+                        return 50 + Math.sqrt(ele.data('size')) * 15;
+                    },
+                    'height': function(ele) {
+                        return 50 + Math.sqrt(ele.data('size')) * 15;
+                    },
+                    'border-style': 'dashed',
+                    'border-color': '#ffffff',
+                    'border-width': 2,
+                    'text-max-width': '120px'
+                }
+            },
+            {
+                selector: 'edge.cluster-edge',
+                style: {
+                    'width': function(ele) {
+                        return 1.5 + Math.min(ele.data('count'), 10) * 0.5;
+                    },
+                    'line-color': '#888',
+                    'line-style': 'solid',
+                    'target-arrow-shape': 'none'
+                }
+            },
+            {
+                selector: '.filtered-out, .collapsed',
+                style: {
+                    'display': 'none'
+                }
+            },
+            {
+                selector: '.faded',
+                style: {
+                    'opacity': 0.15
+                }
+            },
+            {
+                selector: 'node.recommended',
+                style: {
+                    'border-width': 5,
+                    'border-style': 'dashed',
+                    'border-color': '#00cec9'
+                }
+            },
+            {
+                selector: '.live-changed',
+                style: {
+                    'overlay-color': '#00cec9',
+                    'overlay-opacity': 0.35,
+                    'overlay-padding': 8
+                }
+            },
+            {
+                selector: 'node.focus-root',
+                style: {
+                    'border-width': 6,
+                    'border-style': 'double',
+                    'border-color': '#ffffff'
+                }
+            },
+            {
+                selector: 'node.path-node',
+                style: {
+                    'border-width': 5,
+                    'border-color': '#ffffff'
+                }
+            },
+            {
+                selector: 'edge.path-edge',
+                style: {
+                    'width': 5,
+                    'line-color': '#1db954',
+                    'opacity': 1
+                }
+            },
             {
                 selector: 'node:active',
                 style: {
@@ -172,13 +322,32 @@ function initGraph() {
     // Node click event
     cy.on('tap', 'node', function(evt) {
         const node = evt.target;
+        if (node.hasClass('cluster-node')) {
+            expandCluster(node.data('cluster'));
+            return;
+        }
         showNodeInfo(node.data());
     });
 
+    // Double-click a node in focus mode to pull in its neighbors
+    cy.on('dbltap', 'node', function(evt) {
+        if (focusArtistId && !evt.target.hasClass('cluster-node')) {
+            expandNode(evt.target);
+        }
+    });
+
+    // Edge click event (edges into a collapsed cluster have no details)
+    cy.on('tap', 'edge', function(evt) {
+        if (!evt.target.hasClass('cluster-edge')) {
+            showEdgeInfo(evt.target);
+        }
+    });
+
     // Background click event
     cy.on('tap', function(evt) {
         if (evt.target === cy) {
             hideNodeInfo();
+            hideEdgeInfo();
         }
     });
 
@@ -199,12 +368,8 @@ function initGraph() {
         const node = evt.target;
         node.style('transform', 'scale(1)');
 
-        // Reset connected edges
-        node.connectedEdges().style({
-            'line-color': '#555',
-            'width': 2,
-            'opacity': 0.6
-        });
+        // Reset connected edges back to their stylesheet values
+        node.connectedEdges().removeStyle('line-color width opacity');
     });
 
     // Drag physics - make connected nodes follow with gravity
@@ -372,10 +537,12 @@ function initEventListeners() {
     });
 
     // Save artist
-    document.getElementById('saveArtist').addEventListener('click', saveArtist);
+    document.getElementById('saveArtist').addEventListener('click', () => saveArtist());
 
     // Add related artists
     document.getElementById('addRelated').addEventListener('click', addRelatedArtists);
+    document.getElementById('previewRelated').addEventListener('click', previewRelatedArtists);
+    document.getElementById('relatedArtistsCSV').addEventListener('input', resetCSVPreview);
 
     // Graph controls
     document.getElementById('fitGraph').addEventListener('click', () => {
@@ -395,19 +562,143 @@ function initEventListeners() {
 
     document.getElementById('refreshGraph').addEventListener('click', loadGraphData);
 
+    // Accounts
+    document.getElementById('authForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        signIn('login');
+    });
+    document.getElementById('register').addEventListener('click', () => signIn('register'));
+    document.getElementById('logout').addEventListener('click', signOut);
+    document.getElementById('compareUser').addEventListener('change', compareRatings);
+
+    // Workspaces
+    document.getElementById('workspaceSelect').addEventListener('change', (e) => switchWorkspace(parseInt(e.target.value)));
+    document.getElementById('newWorkspace').addEventListener('click', createWorkspace);
+    document.getElementById('renameWorkspace').addEventListener('click', renameWorkspace);
+    document.getElementById('deleteWorkspace').addEventListener('click', deleteWorkspace);
+    document.getElementById('copyToWorkspace').addEventListener('change', (e) => {
+        copyArtistToWorkspace(parseInt(document.getElementById('nodeInfo').dataset.artistId), parseInt(e.target.value));
+        e.target.value = '';
+    });
+
+    // Saved layouts
+    document.getElementById('layoutSelect').addEventListener('change', (e) => selectLayout(e.target.value));
+    document.getElementById('saveLayout').addEventListener('click', saveLayout);
+    document.getElementById('deleteLayout').addEventListener('click', deleteLayout);
+
+    // Focus mode
+    document.getElementById('focusMode').addEventListener('click', toggleFocusMode);
+    document.getElementById('focusDepth').addEventListener('change', () => {
+        if (focusArtistId) {
+            loadGraphData();
+        }
+    });
+
+    // Path finder
+    document.getElementById('findPath').addEventListener('click', findPath);
+    document.getElementById('clearPath').addEventListener('click', clearPathHighlight);
+    document.getElementById('prevPath').addEventListener('click', () => showPathAt(currentPathIndex - 1));
+    document.getElementById('nextPath').addEventListener('click', () => showPathAt(currentPathIndex + 1));
+    ['pathFrom', 'pathTo'].forEach(id => {
+        document.getElementById(id).addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                findPath();
+            }
+        });
+    });
+
+    // Tag coloring and filtering
+    document.getElementById('colorMode').addEventListener('change', (e) => {
+        colorMode = e.target.value;
+        cy.style().update();
+        renderLegend();
+    });
+
+    // Metric sizing and the central artists table
+    document.getElementById('sizeMode').addEventListener('change', (e) => {
+        sizeMode = e.target.value;
+        cy.style().update();
+    });
+    document.getElementById('centralityMetric').addEventListener('change', renderCentralityTable);
+    document.getElementById('highlightRecommendations').addEventListener('click', () => {
+        highlightRecommended = !highlightRecommended;
+        applyRecommendationHighlight();
+    });
+    document.getElementById('tagFilter').addEventListener('change', (e) => {
+        tagFilterId = e.target.value ? parseInt(e.target.value) : null;
+        applyTagFilter();
+    });
+    document.getElementById('nodeTagInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            addTagToArtist();
+        }
+    });
+    document.getElementById('nodeNoteInput').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            addArtistNote();
+        }
+    });
+
+    // Export / import
+    document.getElementById('exportData').addEventListener('click', () => {
+        const format = document.getElementById('exportFormat').value;
+        window.location.href = apiUrl(`/export?format=${format}`);
+    });
+    document.getElementById('importData').addEventListener('click', importData);
+    document.getElementById('importSpotify').addEventListener('click', importSpotifyData);
+
+    // Duplicates
+    document.getElementById('findDuplicates').addEventListener('click', loadDuplicates);
+
     // Node info panel
     document.getElementById('closeNodeInfo').addEventListener('click', hideNodeInfo);
     document.getElementById('editNode').addEventListener('click', editNode);
     document.getElementById('deleteNode').addEventListener('click', deleteNode);
+    // Edge info panel
+    document.getElementById('closeEdgeInfo').addEventListener('click', hideEdgeInfo);
+    document.getElementById('editEdge').addEventListener('click', editEdge);
+    document.getElementById('deleteEdge').addEventListener('click', deleteEdge);
+    document.getElementById('saveEdge').addEventListener('click', saveEdge);
+    document.getElementById('cancelEdgeEdit').addEventListener('click', () => {
+        document.getElementById('edgeEditForm').classList.add('hidden');
+        document.getElementById('edgeActions').classList.remove('hidden');
+    });
+
+    document.getElementById('focusNode').addEventListener('click', () => {
+        setFocusArtist(parseInt(document.getElementById('nodeInfo').dataset.artistId));
+    });
+    document.getElementById('collapseCluster').addEventListener('click', () => {
+        const artist = allArtists.find(a => a.id === parseInt(document.getElementById('nodeInfo').dataset.artistId));
+        if (artist) collapseCluster(artist.cluster);
+    });
+    document.getElementById('collapseClusters').addEventListener('click', toggleAllClusters);
+
+    // Editing a field clears its error
+    document.addEventListener('input', (e) => clearFieldError(e.target));
+    document.addEventListener('change', (e) => clearFieldError(e.target));
+    document.getElementById('ratingStars').addEventListener('click', (e) => clearFieldError(e.currentTarget));
+
+    // Undo / redo, leaving the shortcuts to text fields while one is focused
+    document.getElementById('undoChange').addEventListener('click', undoChange);
+    document.getElementById('redoChange').addEventListener('click', redoChange);
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        if (e.target.matches('input, textarea, select')) return;
+
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoChange();
+        } else {
+            undoChange();
+        }
+    });
 
     // Artist name autocomplete
     const artistNameInput = document.getElementById('artistName');
-    artistNameInput.addEventListener('input', handleArtistSearch);
-    artistNameInput.addEventListener('blur', () => {
-        setTimeout(() => {
-            document.getElementById('artistSuggestions').classList.remove('active');
-        }, 200);
-    });
+    attachSearch(artistNameInput, document.getElementById('artistSuggestions'), 'selectArtist', 5);
+
+    // Global search box
+    attachSearch(document.getElementById('globalSearch'), document.getElementById('globalSuggestions'), 'goToArtist', 10);
 
     // Enter key to save
     artistNameInput.addEventListener('keypress', (e) => {
@@ -417,10 +708,10 @@ function initEventListeners() {
     });
 }
 
-// Update rating stars
+// Update rating stars; null shows the artist as not rated
 function updateStars(rating) {
     currentRating = rating;
-    document.getElementById('ratingValue').textContent = rating;
+    document.getElementById('ratingValue').textContent = rating ?? 'Not rated';
 
     const stars = document.querySelectorAll('#ratingStars i');
     stars.forEach((star, index) => {
@@ -434,31 +725,91 @@ function updateStars(rating) {
     });
 }
 
-// Handle artist search/autocomplete
-function handleArtistSearch(e) {
-    const query = e.target.value.toLowerCase().trim();
-    const suggestionsDiv = document.getElementById('artistSuggestions');
+// Query the server-side artist search
+async function searchArtists(query, limit = 5) {
+    const params = new URLSearchParams({ q: query, limit });
+    const response = await fetch(apiUrl(`/search?${params}`));
+    return response.ok ? response.json() : [];
+}
 
-    if (query.length < 1) {
+// Render search results into a suggestions dropdown
+function renderSuggestions(suggestionsDiv, results, onSelect) {
+    if (results.length === 0) {
         suggestionsDiv.classList.remove('active');
         return;
     }
 
-    const matches = allArtists.filter(artist =>
-        artist.name.toLowerCase().includes(query)
-    ).slice(0, 5);
+    suggestionsDiv.innerHTML = results.map(artist => `
+        <div class="suggestion-item" onclick="${onSelect}(${artist.id})">
+            <span class="suggestion-name">${artist.highlight.name}</span>
+            ${artist.location ? `<span class="suggestion-location">${artist.highlight.location}</span>` : ''}
+        </div>
+    `).join('');
+    suggestionsDiv.classList.add('active');
+}
 
-    if (matches.length > 0) {
-        suggestionsDiv.innerHTML = matches.map(artist => `
-            <div class="suggestion-item" onclick="selectArtist(${artist.id})">
-                <span class="suggestion-name">${artist.name}</span>
-                ${artist.location ? `<span class="suggestion-location">${artist.location}</span>` : ''}
-            </div>
-        `).join('');
-        suggestionsDiv.classList.add('active');
-    } else {
-        suggestionsDiv.classList.remove('active');
+// Debounced search-as-you-type for an input with a suggestions dropdown
+function attachSearch(input, suggestionsDiv, onSelect, limit) {
+    let debounceTimer = null;
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const query = input.value.trim();
+
+        if (query.length < 1) {
+            suggestionsDiv.classList.remove('active');
+            return;
+        }
+
+        debounceTimer = setTimeout(async () => {
+            try {
+                const results = await searchArtists(query, limit);
+                // Ignore responses for queries the user has already typed past
+                if (input.value.trim() === query) {
+                    renderSuggestions(suggestionsDiv, results, onSelect);
+                }
+            } catch (error) {
+                suggestionsDiv.classList.remove('active');
+            }
+        }, 150);
+    });
+
+    input.addEventListener('blur', () => {
+        setTimeout(() => {
+            suggestionsDiv.classList.remove('active');
+        }, 200);
+    });
+}
+
+// Jump to an artist picked from the global search box
+async function goToArtist(artistId) {
+    const searchInput = document.getElementById('globalSearch');
+    searchInput.value = '';
+    document.getElementById('globalSuggestions').classList.remove('active');
+
+    // In focus mode the artist may not be rendered, so refocus on it
+    if (cy.getElementById(artistId.toString()).length === 0 && focusArtistId) {
+        await setFocusArtist(artistId);
     }
+
+    let node = cy.getElementById(artistId.toString());
+    if (node.length === 0) return;
+    if (node.hasClass('collapsed')) {
+        expandCluster(node.data('cluster'));
+        node = cy.getElementById(artistId.toString());
+    }
+
+    cy.nodes().unselect();
+    node.select();
+    showNodeInfo(node.data());
+    cy.animate({
+        fit: {
+            eles: node.closedNeighborhood(),
+            padding: 100
+        }
+    }, {
+        duration: 500
+    });
 }
 
 // Select artist from suggestions
@@ -466,10 +817,11 @@ function selectArtist(artistId) {
     const artist = allArtists.find(a => a.id === artistId);
     if (artist) {
         currentArtistId = artist.id;
+        artistFormBase = formBaseOf(artist);
         document.getElementById('artistName').value = artist.name;
         document.getElementById('location').value = artist.location || '';
         document.getElementById('explored').checked = artist.explored === 1;
-        updateStars(artist.rating || 5);
+        updateStars(artist.rating);
         document.getElementById('artistSuggestions').classList.remove('active');
 
         // Highlight in graph
@@ -490,7 +842,7 @@ function selectArtist(artistId) {
 }
 
 // Save artist
-async function saveArtist() {
+async function saveArtist(overwrite = false) {
     const name = document.getElementById('artistName').value.trim();
     const location = document.getElementById('location').value.trim();
     const explored = document.getElementById('explored').checked;
@@ -500,17 +852,23 @@ async function saveArtist() {
         return;
     }
 
+    // Editing an artist loaded into the form: have the server refuse the save
+    // if someone changed it in the meantime, unless overwriting on purpose
+    const base = artistFormBase && artistFormBase.name === name && !overwrite ? artistFormBase : null;
+
     showLoading(true);
 
     try {
-        const response = await fetch('/api/artists', {
+        const response = await fetch(apiUrl('/artists'), {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
             body: JSON.stringify({
                 name,
                 location: location || null,
-                rating: currentRating,
-                explored: explored ? 1 : 0
+                // Left out unless set, so saving an unrated artist doesn't rate it
+                rating: currentRating ?? undefined,
+                explored: explored ? 1 : 0,
+                expected: base ? { location: base.location, rating: base.rating, explored: base.explored } : undefined
             })
         });
 
@@ -518,8 +876,11 @@ async function saveArtist() {
 
         if (response.ok) {
             currentArtistId = data.id;
+            artistFormBase = formBaseOf(data);
+            // Clear field errors left by an earlier conflict
+            showFieldErrors(data, ARTIST_FORM_FIELDS);
             showToast(`Artist "${name}" saved successfully!`, 'success');
-            await loadGraphData();
+            applyGraphChanges(data.graph);
 
             // Focus on the newly added/updated artist
             const node = cy.getElementById(data.id.toString());
@@ -533,8 +894,12 @@ async function saveArtist() {
                     duration: 500
                 });
             }
+        } else if (data.error && data.error.code === 'edit_conflict') {
+            showFieldErrors(data, ARTIST_FORM_FIELDS);
+            showToast(data.error.message, 'warning', { label: 'Overwrite', onClick: () => saveArtist(true) });
         } else {
-            showToast(data.error || 'Failed to save artist', 'error');
+            showFieldErrors(data, ARTIST_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to save artist'), 'error');
         }
     } catch (error) {
         showToast('Network error: ' + error.message, 'error');
@@ -543,58 +908,180 @@ async function saveArtist() {
     }
 }
 
-// Add related artists from CSV
-async function addRelatedArtists() {
-    const csv = document.getElementById('relatedArtistsCSV').value;
+// Send the related-artists CSV to the server importer
+async function importRelatedCSV(dryRun) {
+    const response = await fetch(apiUrl('/import/csv'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+        body: JSON.stringify({
+            csv: document.getElementById('relatedArtistsCSV').value,
+            artistId: currentArtistId,
+            type: document.getElementById('relationType').value,
+            direction: document.getElementById('relationDirection').value || undefined,
+            header: csvHeader,
+            mapping: csvMapping,
+            dryRun
+        })
+    });
+    return { response, data: await response.json() };
+}
 
+// Summarize an import report: artists created vs already there, connections new vs duplicate
+function describeCSVImport(summary) {
+    const parts = [
+        `${summary.artistsCreated} new artist(s)`,
+        `${summary.artistsExisting} already existed` + (summary.artistsUpdated > 0 ? ` (${summary.artistsUpdated} updated)` : ''),
+        `${summary.relationshipsCreated} new connection(s)`,
+        `${summary.relationshipsExisting} already connected`
+    ];
+    if (summary.skipped > 0) {
+        parts.push(`${summary.skipped} row(s) skipped`);
+    }
+    return parts.join(', ');
+}
+
+// Check the CSV before importing it
+function validateRelatedCSV() {
     if (!currentArtistId) {
         showToast('Please save an artist first before adding related artists', 'warning');
-        return;
+        return false;
     }
 
-    if (!csv.trim()) {
+    if (!document.getElementById('relatedArtistsCSV').value.trim()) {
         showToast('Please enter related artists in CSV format', 'warning');
-        return;
+        return false;
     }
 
+    return true;
+}
+
+// Dry-run the CSV and show what it would create and link
+async function previewRelatedArtists() {
+    if (!validateRelatedCSV()) return;
+
     showLoading(true);
 
     try {
-        // Parse CSV with proper CSV handling
-        const rows = parseCSV(csv);
-        const relatedArtists = [];
+        const { response, data } = await importRelatedCSV(true);
 
-        for (const row of rows) {
-            // Expected format: name, location
-            if (row.length >= 1 && row[0]) {
-                relatedArtists.push({
-                    name: row[0],
-                    location: row[1] || null
-                });
-            }
+        if (response.ok) {
+            csvPreviewText = document.getElementById('relatedArtistsCSV').value;
+            renderCSVPreview(data);
+        } else {
+            showFieldErrors(data, CSV_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to preview CSV'), 'error');
         }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
 
-        if (relatedArtists.length === 0) {
-            showToast('No valid artists found in CSV', 'warning');
-            showLoading(false);
-            return;
+// Render an import report: column mapping (for dry runs), per-row outcome and errors
+function renderCSVPreview(report) {
+    const previewDiv = document.getElementById('csvPreview');
+    const fieldOptions = selected => ['<option value="">Ignore</option>']
+        .concat(Object.entries(CSV_FIELD_LABELS).map(([field, label]) =>
+            `<option value="${field}" ${field === selected ? 'selected' : ''}>${label}</option>`))
+        .join('');
+
+    const columns = Array.from({ length: report.columnCount }, (_, index) => {
+        const label = report.header ? report.header[index] : `Column ${index + 1}`;
+        const field = Object.keys(report.mapping).find(key => report.mapping[key] === index);
+        return `
+            <label class="csv-column">
+                <span>${escapeHTML(label)}</span>
+                <select data-column="${index}" onchange="updateCSVMapping()">${fieldOptions(field)}</select>
+            </label>
+        `;
+    }).join('');
+
+    const statusLabels = { created: 'new', updated: 'existing, updated', unchanged: 'existing' };
+    const rows = report.rows.map(row => `
+        <tr>
+            <td>${row.line}</td>
+            <td>${escapeHTML(row.name)} <span class="csv-status ${row.status}">${statusLabels[row.status]}</span></td>
+            <td>${row.links.map(link => `${escapeHTML(link.name)}${link.status === 'created' ? ' (new artist)' : ''} <span class="csv-status ${link.edge}">${link.edge === 'new' ? 'new link' : 'already linked'}</span>`).join('<br>')}</td>
+        </tr>
+    `).join('');
+
+    const errors = report.errors.map(({ line, error }) => `<li>Line ${line}: ${escapeHTML(error)}</li>`).join('');
+
+    previewDiv.innerHTML = `
+        ${report.dryRun ? `<label class="csv-header-toggle">
+            <input type="checkbox" id="csvHeaderToggle" ${report.header ? 'checked' : ''} onchange="toggleCSVHeader(this.checked)">
+            First row is a header
+        </label>
+        <div class="csv-columns">${columns}</div>` : ''}
+        <div class="csv-summary">${report.dryRun ? 'Would import' : 'Imported'}: ${describeCSVImport(report.summary)}</div>
+        ${rows ? `<table class="csv-preview-table">
+            <thead><tr><th>Line</th><th>Artist</th><th>Links</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>` : ''}
+        ${errors ? `<ul class="csv-errors">${errors}</ul>` : ''}
+    `;
+    previewDiv.classList.remove('hidden');
+}
+
+// Re-run the preview with the mapping chosen in the column selects
+function updateCSVMapping() {
+    csvMapping = {};
+    document.querySelectorAll('#csvPreview select[data-column]').forEach(select => {
+        if (select.value) {
+            csvMapping[select.value] = parseInt(select.dataset.column);
         }
+    });
+    previewRelatedArtists();
+}
 
-        // Send to API
-        const response = await fetch(`/api/artists/${currentArtistId}/related`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ relatedArtists })
-        });
+// Re-run the preview with or without a header row
+function toggleCSVHeader(hasHeader) {
+    csvHeader = hasHeader;
+    csvMapping = null;
+    previewRelatedArtists();
+}
 
-        const data = await response.json();
+// Forget the preview and mapping once the CSV text changes
+function resetCSVPreview() {
+    csvMapping = null;
+    csvHeader = 'auto';
+    csvPreviewText = null;
+    document.getElementById('csvPreview').classList.add('hidden');
+}
+
+// Add related artists from CSV
+async function addRelatedArtists() {
+    if (!validateRelatedCSV()) return;
+
+    const csv = document.getElementById('relatedArtistsCSV').value;
+    if (csv !== csvPreviewText && csv.trim().split(/\r?\n/).length > LARGE_CSV_LINES) {
+        await previewRelatedArtists();
+        showToast('Check the preview, then click Add again to import', 'warning');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const { response, data } = await importRelatedCSV(false);
 
         if (response.ok) {
-            showToast(`Added ${data.added} related artist(s)!`, 'success');
-            document.getElementById('relatedArtistsCSV').value = '';
-            await loadGraphData();
+            if (data.summary.imported === 0) {
+                showToast('No valid artists found in CSV', 'warning');
+                renderCSVPreview(data);
+                return;
+            }
+            showToast(`Imported: ${describeCSVImport(data.summary)}`, data.errors.length > 0 ? 'warning' : 'success');
+            if (data.errors.length === 0) {
+                document.getElementById('relatedArtistsCSV').value = '';
+            }
+            // Show the per-row breakdown; skipped lines stay in the textarea to be fixed
+            renderCSVPreview(data);
+            applyGraphChanges(data.graph);
         } else {
-            showToast(data.error || 'Failed to add related artists', 'error');
+            showFieldErrors(data, CSV_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to add related artists'), 'error');
         }
     } catch (error) {
         showToast('Network error: ' + error.message, 'error');
@@ -603,15 +1090,124 @@ async function addRelatedArtists() {
     }
 }
 
+// Load centrality metrics and components, then restyle the graph and central artists table
+async function loadAnalytics() {
+    try {
+        const response = await fetch(apiUrl('/analytics'));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load analytics'), 'error');
+            return;
+        }
+
+        analyticsById = new Map(data.artists.map(metrics => [metrics.id, metrics]));
+        analyticsMax = {};
+        for (const metric of Object.keys(ANALYTICS_METRICS)) {
+            analyticsMax[metric] = Math.max(0, ...data.artists.map(metrics => metrics[metric]));
+        }
+
+        cy.style().update();
+        renderLegend();
+        renderCentralityTable();
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+
+    loadRecommendations();
+}
+
+// Load the artists to explore next
+async function loadRecommendations() {
+    try {
+        const response = await fetch(apiUrl('/recommendations'));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load recommendations'), 'error');
+            return;
+        }
+
+        recommendations = data.recommendations;
+        renderRecommendations(data.seeds);
+        applyRecommendationHighlight();
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// List recommendations with the reason each one was picked
+function renderRecommendations(seeds) {
+    const list = document.getElementById('recommendationList');
+
+    if (seeds === 0) {
+        list.innerHTML = '<p class="duplicate-empty">Mark artists as explored and rate them to get recommendations</p>';
+        return;
+    }
+    if (recommendations.length === 0) {
+        list.innerHTML = '<p class="duplicate-empty">No unexplored artists are connected to what you explored</p>';
+        return;
+    }
+
+    list.innerHTML = recommendations.map(rec => `
+        <div class="recommendation-item" onclick="goToArtist(${rec.id})">
+            <div class="recommendation-name">
+                ${escapeHTML(rec.name)}
+                <span class="recommendation-score">${Math.round(rec.score * 100)}%</span>
+            </div>
+            <div class="recommendation-reason">${escapeHTML(rec.explanation)}</div>
+            ${rec.because.length > 0 ? `
+                <div class="recommendation-because">via ${rec.because.map(artist =>
+                    escapeHTML(artist.rating ? `${artist.name} (${artist.rating})` : artist.name)).join(', ')}</div>
+            ` : ''}
+        </div>
+    `).join('');
+}
+
+// Mark recommended artists on the graph while highlighting is on
+function applyRecommendationHighlight() {
+    cy.nodes().removeClass('recommended');
+    if (highlightRecommended) {
+        recommendations.forEach(rec => cy.getElementById(rec.id.toString()).addClass('recommended'));
+    }
+    document.getElementById('highlightRecommendations').classList.toggle('active', highlightRecommended);
+}
+
+// List the top artists by the chosen centrality metric
+function renderCentralityTable() {
+    const metric = document.getElementById('centralityMetric').value;
+    const table = document.getElementById('centralityTable');
+    const ranked = [...analyticsById.values()]
+        .filter(metrics => metrics[metric] > 0)
+        .sort((a, b) => b[metric] - a[metric])
+        .slice(0, 10);
+
+    if (ranked.length === 0) {
+        table.innerHTML = '<tr><td class="duplicate-empty">Add some connections to see rankings</td></tr>';
+        return;
+    }
+
+    table.innerHTML = ranked.map((metrics, index) => `
+        <tr onclick="goToArtist(${metrics.id})">
+            <td>${index + 1}</td>
+            <td>${escapeHTML(metrics.name)}</td>
+            <td>${metric === 'degree' ? metrics.degree : metrics[metric].toFixed(3)}</td>
+        </tr>
+    `).join('');
+}
+
 // Load graph data from API
 async function loadGraphData() {
     showLoading(true);
 
     try {
-        const response = await fetch('/api/graph');
+        const response = await fetch(apiUrl('/graph'));
         const data = await response.json();
 
         allArtists = data.artists;
+        allTags = data.tags;
+        allClusters = data.clusters;
+        renderTagControls();
 
         // Deduplicate edges for accurate stats (since relationships are bidirectional in DB)
         const seenEdgesForStats = new Set();
@@ -628,93 +1224,1607 @@ async function loadGraphData() {
         document.getElementById('totalArtists').textContent = data.artists.length;
         document.getElementById('totalConnections').textContent = uniqueConnectionCount;
 
-        // Clear and rebuild graph
-        cy.elements().remove();
+        // In focus mode only the neighborhood of the focused artist is rendered
+        if (focusArtistId && allArtists.some(a => a.id === focusArtistId)) {
+            await loadNeighborhood(focusArtistId);
+        } else {
+            focusArtistId = null;
+            renderGraph(data);
+        }
 
-        // Add nodes
-        const nodes = data.artists.map(artist => ({
-            group: 'nodes',
-            data: {
-                id: artist.id.toString(),
-                name: artist.name,
-                location: artist.location,
-                rating: artist.rating,
-                explored: artist.explored === 1
-            }
-        }));
+        await loadAnalytics();
+    } catch (error) {
+        showToast('Failed to load graph data: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
 
-        // Deduplicate edges (since relationships are bidirectional in DB)
-        // Only keep one edge per pair by using a Set with sorted IDs
-        const seenEdges = new Set();
-        const uniqueRelationships = data.relationships.filter(rel => {
-            const id1 = Math.min(rel.artist_id, rel.related_artist_id);
+// Find the top-ranked paths between two artists
+async function findPath() {
+    const from = document.getElementById('pathFrom').value.trim();
+    const to = document.getElementById('pathTo').value.trim();
+    const cost = document.getElementById('pathCost').value;
+    const k = document.getElementById('pathCount').value;
+
+    if (!from || !to) {
+        showToast('Please enter both a start and a target artist', 'warning');
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const params = new URLSearchParams({ from, to, cost, k });
+        const response = await fetch(apiUrl(`/paths?${params}`));
+        const data = await response.json();
+
+        if (response.ok) {
+            currentPaths = data.paths;
+            showPathAt(0);
+            showToast(`Found ${data.paths.length} route(s), shortest has ${data.paths[0].length} hop(s)`, 'success');
+        } else {
+            clearPathHighlight();
+            showFieldErrors(data, PATH_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to find path'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Step to one of the alternative routes and highlight it
+function showPathAt(index) {
+    if (index < 0 || index >= currentPaths.length) return;
+
+    currentPathIndex = index;
+    highlightPath(currentPaths[index]);
+
+    document.getElementById('pathLabel').textContent =
+        `Route ${index + 1} of ${currentPaths.length} · cost ${currentPaths[index].cost}`;
+    document.getElementById('prevPath').disabled = index === 0;
+    document.getElementById('nextPath').disabled = index === currentPaths.length - 1;
+    document.querySelector('.path-nav').classList.toggle('hidden', currentPaths.length < 2);
+}
+
+// Highlight a path on the graph and fit the view to it
+function highlightPath(path) {
+    clearPathHighlight();
+
+    // Open any collapsed cluster the route passes through
+    path.artists.forEach(artist => {
+        const node = cy.getElementById(artist.id.toString());
+        if (node.hasClass('collapsed')) {
+            expandCluster(node.data('cluster'));
+        }
+    });
+
+    let pathElements = cy.collection();
+
+    path.artists.forEach(artist => {
+        pathElements = pathElements.union(cy.getElementById(artist.id.toString()));
+    });
+
+    path.relationships.forEach(rel => {
+        const source = cy.getElementById(rel.artist_id.toString());
+        const target = cy.getElementById(rel.related_artist_id.toString());
+        pathElements = pathElements.union(source.edgesWith(target));
+    });
+
+    cy.elements().addClass('faded');
+    pathElements.removeClass('faded');
+    pathElements.nodes().addClass('path-node');
+    pathElements.edges().addClass('path-edge');
+
+    cy.animate({
+        fit: {
+            eles: pathElements,
+            padding: 80
+        }
+    }, {
+        duration: 500
+    });
+
+    document.getElementById('pathRoute').innerHTML = path.artists
+        .map(artist => `<span class="path-step">${escapeHTML(artist.name)}</span>`)
+        .join('<i class="fas fa-arrow-right path-arrow"></i>');
+    document.getElementById('pathResult').classList.remove('hidden');
+}
+
+// Escape free text (such as names or notes) for use in innerHTML, including
+// inside quoted attribute values
+function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Remove any path highlight from the graph
+function clearPathHighlight() {
+    cy.elements().removeClass('faded path-node path-edge');
+    document.getElementById('pathResult').classList.add('hidden');
+}
+
+// Build Cytoscape node and edge definitions from artists and relationships
+function buildElements(artists, relationships) {
+    const clusterOf = new Map(allArtists.map(artist => [artist.id, artist.cluster]));
+
+    // Add nodes
+    const nodes = artists.map(artist => ({
+        group: 'nodes',
+        data: {
+            id: artist.id.toString(),
+            name: artist.name,
+            location: artist.location,
+            rating: artist.rating,
+            explored: artist.explored === 1,
+            tags: artist.tags || [],
+            // Neighborhood responses don't carry clusters; take them from the full graph
+            cluster: artist.cluster ?? clusterOf.get(artist.id) ?? null
+        }
+    }));
+
+    // Deduplicate edges (since relationships are bidirectional in DB)
+    // Only keep one edge per pair by keying on sorted IDs
+    const seenEdges = new Set();
+    const edges = [];
+
+    relationships.forEach(rel => {
+        const id1 = Math.min(rel.artist_id, rel.related_artist_id);
+        const id2 = Math.max(rel.artist_id, rel.related_artist_id);
+        const key = `${id1}-${id2}`;
+
+        if (seenEdges.has(key)) return;
+        seenEdges.add(key);
+
+        edges.push({
+            group: 'edges',
+            data: {
+                id: `edge-${key}`,
+                ...buildEdgeData(rel)
+            }
+        });
+    });
+
+    return [...nodes, ...edges];
+}
+
+// Map a relationship row to Cytoscape edge data
+function buildEdgeData(rel) {
+    // Directed edges point from source to target; flip rows stored from the other side
+    const flipped = rel.direction === 'incoming';
+
+    return {
+        source: (flipped ? rel.related_artist_id : rel.artist_id).toString(),
+        target: (flipped ? rel.artist_id : rel.related_artist_id).toString(),
+        type: rel.type || 'related',
+        directed: !!rel.direction && rel.direction !== 'none',
+        weight: rel.weight || 1,
+        origin: rel.source || null,
+        notes: rel.notes || null
+    };
+}
+
+// Replace the whole graph with the given artists and relationships, arranged
+// by the active saved layout or else by a full cola run
+function renderGraph(data) {
+    // Clear and rebuild graph
+    cy.elements().remove();
+    cy.add(buildElements(data.artists, data.relationships));
+
+    applyTagFilter();
+    applyCollapsedClusters();
+    applyRecommendationHighlight();
+
+    if (activeLayout) {
+        applySavedLayout(activeLayout);
+    } else {
+        runFullLayout();
+    }
+}
+
+// Lay out the whole graph from scratch and fit it to the screen
+function runFullLayout() {
+    // Run layout with animation - using cola for better spring physics
+    const layout = cy.layout({
+        name: 'cola',
+        animate: true,
+        animationDuration: 1000,
+        animationEasing: 'ease-out',
+        refresh: 1,
+        maxSimulationTime: 2000,
+        ungrabifyWhileSimulating: false,
+        fit: true,
+        padding: 50,
+        nodeDimensionsIncludeLabels: true,
+        // Physics parameters
+        edgeLength: 100,
+        edgeSymDiffLength: undefined,
+        edgeJaccardLength: undefined,
+        nodeSpacing: 40,
+        flow: undefined,
+        alignment: undefined,
+        gapInequalities: undefined,
+        // Spring physics
+        randomize: false,
+        avoidOverlap: true,
+        handleDisconnected: true,
+        convergenceThreshold: 0.01,
+        // Make nodes stick together more naturally
+        unconstrIter: undefined,
+        userConstIter: undefined,
+        allConstIter: undefined
+    });
+
+    layout.run();
+
+    // Fit graph after layout
+    setTimeout(() => {
+        cy.fit(null, 50);
+    }, 1100);
+}
+
+// Apply the `graph` part of a mutation response in place: add, update and
+// remove individual nodes and edges, keeping everything else where it is
+function applyGraphChanges(graph) {
+    if (!graph) return;
+
+    const removedIds = new Set(graph.removedArtists);
+    const changedIds = new Set(graph.artists.map(artist => artist.id));
+    allArtists = allArtists.filter(a => !removedIds.has(a.id) && !changedIds.has(a.id)).concat(graph.artists);
+    allArtists.forEach(artist => {
+        artist.cluster = graph.clusterOf[artist.id] ?? null;
+    });
+    allTags = graph.tags;
+    allClusters = graph.clusters;
+    renderTagControls();
+
+    const elements = buildElements(graph.artists, graph.relationships);
+    const newNodes = [];
+    let added = cy.collection();
+
+    cy.batch(() => {
+        graph.removedArtists.forEach(id => cy.getElementById(id.toString()).remove());
+        graph.removedRelationships.forEach(rel => {
+            const id1 = Math.min(rel.artist_id, rel.related_artist_id);
             const id2 = Math.max(rel.artist_id, rel.related_artist_id);
-            const key = `${id1}-${id2}`;
+            cy.getElementById(`edge-${id1}-${id2}`).remove();
+        });
+
+        // In focus mode, only pull in new artists connected to what is on screen
+        const onScreen = id => cy.getElementById(id).length > 0;
+        const linkedToScreen = id => elements.some(ele => ele.group === 'edges' &&
+            ((ele.data.source === id && onScreen(ele.data.target)) || (ele.data.target === id && onScreen(ele.data.source))));
+
+        elements.filter(ele => ele.group === 'nodes').forEach(ele => {
+            const node = cy.getElementById(ele.data.id);
+            if (node.length > 0) {
+                node.data(ele.data);
+            } else if (!focusArtistId || linkedToScreen(ele.data.id)) {
+                newNodes.push(ele);
+            }
+        });
+
+        placeNewNodes(newNodes, elements.filter(ele => ele.group === 'edges'));
+        added = cy.add(newNodes);
+
+        elements.filter(ele => ele.group === 'edges').forEach(ele => {
+            const { source, target } = ele.data;
+            if (!onScreen(source) || !onScreen(target)) return;
+
+            let edge = cy.getElementById(ele.data.id);
+            if (edge.length === 0) {
+                cy.add(ele);
+                return;
+            }
+            // A direction change can swap the edge's ends
+            if (edge.data('source') !== source) {
+                edge = edge.move({ source, target });
+            }
+            edge.data(ele.data);
+        });
+
+        // Re-clustering can move artists the change didn't touch
+        cy.nodes().not('.cluster-node').forEach(node => {
+            node.data('cluster', graph.clusterOf[node.id()] ?? null);
+        });
+    });
+
+    document.getElementById('totalArtists').textContent = graph.totals.artists;
+    document.getElementById('totalConnections').textContent = graph.totals.connections;
+
+    const panel = document.getElementById('nodeInfo');
+    if (removedIds.has(parseInt(panel.dataset.artistId))) {
+        hideNodeInfo();
+    }
+    if (cy.getElementById(document.getElementById('edgeInfo').dataset.edgeId || '').length === 0) {
+        hideEdgeInfo();
+    }
+
+    cy.style().update();
+    applyTagFilter();
+    applyCollapsedClusters();
+    applyRecommendationHighlight();
+    runLocalLayout(added);
+    loadAnalytics();
+}
+
+// Sent as X-Client-Id with this page's changes and echoed on the change
+// stream, so the page can tell its own changes (already applied from the
+// response) from ones made elsewhere, including its user's other tabs
+const CLIENT_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+// How long nodes and edges changed by someone else stay highlighted
+const LIVE_HIGHLIGHT_MS = 2000;
+// How long to wait before reopening a change stream the browser gave up on
+const CHANGE_STREAM_RETRY_MS = 5000;
+
+// Follow the current workspace's changes as others make them. The browser
+// reconnects a dropped stream by itself; if it gives up (e.g. the server was
+// down), try again after a while. After a reconnect the graph is reloaded,
+// since changes made while disconnected weren't received.
+function connectChangeStream() {
+    if (changeStream) {
+        changeStream.close();
+    }
+
+    const stream = new EventSource(apiUrl('/events'));
+    changeStream = stream;
+
+    stream.addEventListener('open', () => {
+        if (changeStreamDropped) {
+            changeStreamDropped = false;
+            loadGraphData();
+        }
+    });
+    stream.addEventListener('error', () => {
+        changeStreamDropped = true;
+        if (stream.readyState === EventSource.CLOSED && changeStream === stream) {
+            setTimeout(() => {
+                if (changeStream === stream) connectChangeStream();
+            }, CHANGE_STREAM_RETRY_MS);
+        }
+    });
+    stream.addEventListener('change', (e) => applyRemoteChange(JSON.parse(e.data)));
+}
+
+// Apply a change that came in on the change stream, unless this page made it
+// (its own changes are applied from the response, which may arrive later)
+function applyRemoteChange({ graph, user, clientId }) {
+    if (clientId === CLIENT_ID) return;
+
+    warnIfFormChanged(graph, user);
+    applyGraphChanges(graph);
+
+    const changed = cy.collection();
+    graph.artists.forEach(artist => {
+        changed.merge(cy.getElementById(artist.id.toString()));
+    });
+    graph.relationships.forEach(rel => {
+        const id1 = Math.min(rel.artist_id, rel.related_artist_id);
+        const id2 = Math.max(rel.artist_id, rel.related_artist_id);
+        changed.merge(cy.getElementById(`edge-${id1}-${id2}`));
+    });
+    changed.addClass('live-changed');
+    setTimeout(() => changed.removeClass('live-changed'), LIVE_HIGHLIGHT_MS);
+}
+
+// Fields of an artist an edit in the form is based on
+function formBaseOf(artist) {
+    return { id: artist.id, name: artist.name, location: artist.location, rating: artist.rating, explored: artist.explored === 1 };
+}
+
+// Warn when a change from elsewhere touches the artist being edited in the
+// form, rather than letting a save quietly overwrite it. Fields already
+// showing the new value in the form don't count.
+function warnIfFormChanged(graph, user) {
+    if (!artistFormBase) return;
+
+    const by = user.id === currentUser.id ? 'in another window' : `by ${user.username}`;
+    if (graph.removedArtists.includes(artistFormBase.id)) {
+        showToast(`"${artistFormBase.name}" was just deleted ${by}`, 'warning');
+        return;
+    }
+
+    const artist = graph.artists.find(a => a.id === artistFormBase.id);
+    if (!artist) return;
+
+    const incoming = formBaseOf(artist);
+    const shown = {
+        location: document.getElementById('location').value.trim() || null,
+        rating: currentRating,
+        explored: document.getElementById('explored').checked
+    };
+    const changed = ['location', 'rating', 'explored']
+        .filter(field => incoming[field] !== artistFormBase[field] && incoming[field] !== shown[field]);
+
+    if (changed.length > 0) {
+        const artistId = artistFormBase.id;
+        showToast(`"${artist.name}" was just changed ${by} (${changed.join(', ')}); saving now would overwrite it`, 'warning', {
+            label: 'Load changes',
+            onClick: () => selectArtist(artistId)
+        });
+    }
+}
+
+// Give new nodes a starting position next to the neighbors already placed
+// (in a ring when several share them); unconnected ones go mid-screen. The
+// nodes may already be in the graph, e.g. artists missing from a saved layout.
+function placeNewNodes(newNodes, edges) {
+    const positions = new Map();
+    const unplaced = new Set(newNodes.map(ele => ele.data.id));
+    const positionOf = id => positions.get(id) ||
+        (!unplaced.has(id) && cy.getElementById(id).length > 0 ? cy.getElementById(id).position() : null);
+    const ringCounts = new Map();
+    const radius = 120;
+
+    // Keep placing until no node gains a placed neighbor, so chains of new artists fan outward
+    let pending = [...newNodes];
+    while (pending.length > 0) {
+        const waiting = [];
+        for (const ele of pending) {
+            const neighbors = edges
+                .filter(edge => edge.data.source === ele.data.id || edge.data.target === ele.data.id)
+                .map(edge => positionOf(edge.data.source === ele.data.id ? edge.data.target : edge.data.source))
+                .filter(Boolean);
+            if (neighbors.length === 0) {
+                waiting.push(ele);
+                continue;
+            }
+
+            const center = {
+                x: neighbors.reduce((sum, p) => sum + p.x, 0) / neighbors.length,
+                y: neighbors.reduce((sum, p) => sum + p.y, 0) / neighbors.length
+            };
+            const key = `${Math.round(center.x)},${Math.round(center.y)}`;
+            const index = ringCounts.get(key) || 0;
+            ringCounts.set(key, index + 1);
+
+            // Golden-angle steps spread any number of siblings without knowing the count up front
+            const angle = index * 2.39996;
+            ele.position = { x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) };
+            positions.set(ele.data.id, ele.position);
+        }
+
+        if (waiting.length === pending.length) {
+            const extent = cy.extent();
+            waiting.forEach((ele, index) => {
+                const angle = index * 2.39996;
+                const distance = 40 * Math.sqrt(index);
+                ele.position = {
+                    x: (extent.x1 + extent.x2) / 2 + distance * Math.cos(angle),
+                    y: (extent.y1 + extent.y2) / 2 + distance * Math.sin(angle)
+                };
+            });
+            break;
+        }
+        pending = waiting;
+    }
+}
+
+// Settle newly added nodes with a short cola run over them and their
+// neighbors, holding the neighbors (and the rest of the graph) in place
+function runLocalLayout(newNodes) {
+    if (newNodes.length === 0) return;
+
+    const region = newNodes.union(newNodes.neighborhood('node'));
+    const anchors = region.difference(newNodes).filter(node => !node.locked());
+    anchors.lock();
+
+    const layout = region.union(region.edgesWith(region)).layout({
+        name: 'cola',
+        animate: true,
+        refresh: 1,
+        maxSimulationTime: 1000,
+        ungrabifyWhileSimulating: false,
+        fit: false,
+        nodeDimensionsIncludeLabels: true,
+        edgeLength: 100,
+        nodeSpacing: 40,
+        randomize: false,
+        avoidOverlap: true,
+        handleDisconnected: false,
+        convergenceThreshold: 0.01
+    });
+    layout.one('layoutstop', () => anchors.unlock());
+    layout.run();
+
+    newNodes.style('opacity', 0);
+    newNodes.animate({ style: { opacity: 1 } }, {
+        duration: 400,
+        complete: () => newNodes.removeStyle('opacity')
+    });
+}
+
+// Form inputs for the sign-in form's API fields
+const AUTH_FORM_FIELDS = { username: 'authUsername', password: 'authPassword' };
+// Ratings at least this far apart are highlighted in a comparison
+const RATING_DISAGREEMENT = 3;
+
+// Start the app if there's a signed-in session, otherwise ask to sign in
+async function initSession() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+            showSignIn();
+            return;
+        }
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load your account'), 'error');
+            return;
+        }
+
+        startSession(data.user);
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Show the sign-in form over the app
+function showSignIn() {
+    document.getElementById('authOverlay').classList.remove('hidden');
+    document.getElementById('authUsername').focus();
+}
+
+// Load everything for the signed-in user. The graph is shared, but its
+// ratings and explored colors are this user's.
+function startSession(user) {
+    currentUser = user;
+    document.getElementById('currentUsername').textContent = user.username;
+    document.getElementById('authOverlay').classList.add('hidden');
+    document.getElementById('authPassword').value = '';
+
+    loadUsers();
+    // Restore the last picked workspace and layout first, so the graph opens arranged as it was saved
+    initWorkspaces().then(initLayouts).then(loadGraphData).then(connectChangeStream);
+}
+
+// Sign in, or create an account ('register') and sign in as it
+async function signIn(mode) {
+    const username = document.getElementById('authUsername').value.trim();
+    const password = document.getElementById('authPassword').value;
+
+    try {
+        const response = await fetch(`/api/auth/${mode}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+
+        showFieldErrors(data, AUTH_FORM_FIELDS);
+        if (!response.ok) {
+            showToast(getErrorMessage(data, mode === 'register' ? 'Failed to create account' : 'Failed to sign in'), 'error');
+            return;
+        }
+
+        if (mode === 'register') {
+            showToast(`Welcome, ${data.user.username}!`, 'success');
+        }
+        startSession(data.user);
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Sign out and start over from the sign-in form
+async function signOut() {
+    try {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        window.location.reload();
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Fetch the other users and fill the rating comparison picker
+async function loadUsers() {
+    try {
+        const response = await fetch('/api/users');
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load users'), 'error');
+            return;
+        }
+
+        users = data.filter(user => user.id !== currentUser.id);
+        document.getElementById('compareUser').innerHTML = users.length === 0
+            ? '<option value="">No one else has an account yet</option>'
+            : '<option value="">Pick someone…</option>' + users.map(user => `
+                <option value="${user.id}">${escapeHTML(user.username)}</option>
+            `).join('');
+        document.getElementById('compareUser').disabled = users.length === 0;
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Compare the picked user's ratings in this workspace with yours
+async function compareRatings() {
+    const userId = document.getElementById('compareUser').value;
+    const summary = document.getElementById('compareSummary');
+    const table = document.getElementById('compareTable');
+
+    if (!userId) {
+        summary.textContent = '';
+        table.innerHTML = '';
+        return;
+    }
+
+    try {
+        const response = await fetch(apiUrl(`/ratings/compare?userB=${userId}`));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to compare ratings'), 'error');
+            return;
+        }
+
+        renderRatingComparison(data);
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Show a rating comparison: a summary line, then each artist either of you
+// rated (click one to go to it)
+function renderRatingComparison({ userB, artists, summary }) {
+    const parts = [`${summary.bothRated} rated by both`];
+    if (summary.meanDifference !== null) {
+        parts.push(`${summary.meanDifference} apart on average`);
+    }
+    if (summary.correlation !== null) {
+        parts.push(`correlation ${summary.correlation.toFixed(2)}`);
+    }
+    document.getElementById('compareSummary').textContent = parts.join(' · ');
+
+    const table = document.getElementById('compareTable');
+    if (artists.length === 0) {
+        table.innerHTML = '<tr><td class="duplicate-empty">Neither of you has rated an artist here yet</td></tr>';
+        return;
+    }
+
+    const cell = rating => (rating === null ? '–' : rating);
+    table.innerHTML = `
+        <tr><th>Artist</th><th>You</th><th>${escapeHTML(userB.username)}</th></tr>
+    ` + artists.map(artist => `
+        <tr onclick="goToArtist(${artist.id})" class="${artist.rating_a !== null && artist.rating_b !== null && Math.abs(artist.rating_a - artist.rating_b) >= RATING_DISAGREEMENT ? 'disagree' : ''}">
+            <td class="compare-artist">${escapeHTML(artist.name)}</td>
+            <td>${cell(artist.rating_a)}</td>
+            <td>${cell(artist.rating_b)}</td>
+        </tr>
+    `).join('');
+}
+
+// The workspace holding data from before workspaces existed; it can't be deleted
+const DEFAULT_WORKSPACE_ID = 1;
+// Browser storage key remembering the picked workspace across reloads
+const WORKSPACE_STORAGE_KEY = 'artistExplorer.workspaceId';
+
+// URL of an API route in a workspace (the current one unless given)
+function apiUrl(path, workspaceId = currentWorkspaceId) {
+    return `/api/workspaces/${workspaceId}${path}`;
+}
+
+// Load the workspace list and go back to the workspace picked last time
+async function initWorkspaces() {
+    await loadWorkspaces();
+
+    const storedId = parseInt(localStorage.getItem(WORKSPACE_STORAGE_KEY));
+    currentWorkspaceId = workspaces.some(workspace => workspace.id === storedId) ? storedId : DEFAULT_WORKSPACE_ID;
+    renderWorkspacePicker();
+}
+
+// Fetch the workspaces and refresh the picker
+async function loadWorkspaces() {
+    try {
+        const response = await fetch('/api/workspaces');
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load workspaces'), 'error');
+            return;
+        }
+
+        workspaces = data;
+        renderWorkspacePicker();
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Fill the workspace picker and the node panel's "copy to" menu
+function renderWorkspacePicker() {
+    document.getElementById('workspaceSelect').innerHTML = workspaces.map(workspace => `
+        <option value="${workspace.id}" ${workspace.id === currentWorkspaceId ? 'selected' : ''}>${escapeHTML(workspace.name)}</option>
+    `).join('');
+    document.getElementById('deleteWorkspace').disabled = currentWorkspaceId === DEFAULT_WORKSPACE_ID;
+
+    const others = workspaces.filter(workspace => workspace.id !== currentWorkspaceId);
+    const copySelect = document.getElementById('copyToWorkspace');
+    copySelect.innerHTML = '<option value="">Copy to…</option>' + others.map(workspace => `
+        <option value="${workspace.id}">${escapeHTML(workspace.name)}</option>
+    `).join('');
+    copySelect.classList.toggle('hidden', others.length === 0);
+}
+
+// Show another workspace's graph, dropping everything tied to the current one
+async function switchWorkspace(workspaceId) {
+    currentWorkspaceId = workspaceId;
+    localStorage.setItem(WORKSPACE_STORAGE_KEY, workspaceId);
+
+    hideNodeInfo();
+    hideEdgeInfo();
+    clearForm();
+    clearPathHighlight();
+    currentPaths = [];
+    focusArtistId = null;
+    document.getElementById('focusMode').classList.remove('active');
+    collapsedClusters.clear();
+    tagFilterId = null;
+    activeLayout = null;
+    localStorage.removeItem(LAYOUT_STORAGE_KEY);
+    document.getElementById('compareUser').value = '';
+    compareRatings();
+
+    renderWorkspacePicker();
+    await loadLayouts();
+    await loadGraphData();
+    connectChangeStream();
+}
+
+// Create an empty workspace and switch to it
+async function createWorkspace() {
+    const name = (prompt('Name of the new workspace:') || '').trim();
+    if (!name) return;
+
+    try {
+        const response = await fetch('/api/workspaces', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            await loadWorkspaces();
+            await switchWorkspace(data.id);
+            showToast(`Workspace "${data.name}" created`, 'success');
+        } else {
+            showToast(getErrorMessage(data, 'Failed to create workspace'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Rename the current workspace
+async function renameWorkspace() {
+    const workspace = workspaces.find(w => w.id === currentWorkspaceId);
+    const name = (prompt('Rename workspace to:', workspace ? workspace.name : '') || '').trim();
+    if (!name) return;
+
+    try {
+        const response = await fetch(`/api/workspaces/${currentWorkspaceId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            await loadWorkspaces();
+        } else {
+            showToast(getErrorMessage(data, 'Failed to rename workspace'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Delete the current workspace and everything in it, then show the default one
+async function deleteWorkspace() {
+    // Refresh the artist counts for the confirmation
+    await loadWorkspaces();
+    const workspace = workspaces.find(w => w.id === currentWorkspaceId);
+    if (!workspace || workspace.id === DEFAULT_WORKSPACE_ID ||
+        !confirm(`Delete the workspace "${workspace.name}" and its ${workspace.artist_count} artists? This can't be undone.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/workspaces/${workspace.id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok) {
+            await loadWorkspaces();
+            await switchWorkspace(DEFAULT_WORKSPACE_ID);
+            showToast(`Workspace "${workspace.name}" deleted`, 'success');
+        } else {
+            showToast(getErrorMessage(data, 'Failed to delete workspace'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Copy an artist, with its tags and its connections to artists already there,
+// into another workspace
+async function copyArtistToWorkspace(artistId, workspaceId) {
+    const artist = allArtists.find(a => a.id === artistId);
+    const workspace = workspaces.find(w => w.id === workspaceId);
+    if (!artist || !workspace) return;
+
+    try {
+        const response = await fetch(apiUrl('/artists/copy', workspaceId), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+            body: JSON.stringify({ from: currentWorkspaceId, artistIds: [artistId] })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            const message = data.copied > 0
+                ? `Copied "${artist.name}" to "${workspace.name}"`
+                : `"${artist.name}" is already in "${workspace.name}"`;
+            const links = data.newRelationships > 0
+                ? ` (${data.newRelationships} new connection${data.newRelationships === 1 ? '' : 's'})`
+                : '';
+            showToast(message + links, 'success', { label: 'Open', onClick: () => switchWorkspace(workspaceId) });
+        } else {
+            showToast(getErrorMessage(data, 'Failed to copy artist'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Browser storage key remembering the picked layout across reloads
+const LAYOUT_STORAGE_KEY = 'artistExplorer.layoutId';
+
+// Load the saved layout list, and the layout picked last time if it still exists
+async function initLayouts() {
+    await loadLayouts();
+
+    const storedId = parseInt(localStorage.getItem(LAYOUT_STORAGE_KEY));
+    if (!savedLayouts.some(layout => layout.id === storedId)) {
+        localStorage.removeItem(LAYOUT_STORAGE_KEY);
+        return;
+    }
+
+    try {
+        const response = await fetch(apiUrl(`/layouts/${storedId}`));
+        if (response.ok) {
+            activeLayout = await response.json();
+            renderLayoutPicker();
+        }
+    } catch (error) {
+        // Fall back to the automatic layout
+    }
+}
+
+// Fetch the saved layouts and refresh the picker
+async function loadLayouts() {
+    try {
+        const response = await fetch(apiUrl('/layouts'));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load layouts'), 'error');
+            return;
+        }
+
+        savedLayouts = data;
+        renderLayoutPicker();
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Fill the layout picker, selecting the active layout
+function renderLayoutPicker() {
+    const select = document.getElementById('layoutSelect');
+    select.innerHTML = '<option value="">Layout: automatic</option>' + savedLayouts.map(layout => `
+        <option value="${layout.id}">Layout: ${escapeHTML(layout.name)}</option>
+    `).join('');
+    select.value = activeLayout ? activeLayout.id : '';
+    document.getElementById('deleteLayout').disabled = !activeLayout;
+}
+
+// Switch to a saved layout, or back to the automatic one for an empty ID
+async function selectLayout(layoutId) {
+    if (!layoutId) {
+        activeLayout = null;
+        localStorage.removeItem(LAYOUT_STORAGE_KEY);
+        renderLayoutPicker();
+        runFullLayout();
+        return;
+    }
+
+    try {
+        const response = await fetch(apiUrl(`/layouts/${layoutId}`));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load layout'), 'error');
+            renderLayoutPicker();
+            return;
+        }
+
+        activeLayout = data;
+        localStorage.setItem(LAYOUT_STORAGE_KEY, data.id);
+        renderLayoutPicker();
+        applySavedLayout(data);
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Move nodes to their saved positions and restore the saved zoom and pan.
+// Artists the layout doesn't know are placed next to their neighbors.
+function applySavedLayout(layout) {
+    const positions = new Map(layout.positions.map(p => [p.artist_id.toString(), { x: p.x, y: p.y }]));
+    const artistNodes = cy.nodes().not('.cluster-node');
+    const missing = artistNodes.filter(node => !positions.has(node.id()));
+
+    // Set the view first: unconnected missing artists go to the middle of it
+    cy.viewport({ zoom: layout.zoom, pan: { x: layout.pan_x, y: layout.pan_y } });
+    cy.batch(() => {
+        artistNodes.forEach(node => {
+            if (positions.has(node.id())) {
+                node.position(positions.get(node.id()));
+            }
+        });
+
+        const placements = missing.map(node => ({ data: { id: node.id() } }));
+        placeNewNodes(placements, cy.edges().not('.cluster-edge').map(edge => ({ data: edge.data() })));
+        placements.forEach(ele => cy.getElementById(ele.data.id).position(ele.position));
+    });
+
+    // Cluster nodes sit at the center of their members, which just moved
+    applyCollapsedClusters();
+    runLocalLayout(missing);
+}
+
+// Save the current positions, zoom and pan under a name, overwriting the
+// layout of that name if there is one
+async function saveLayout() {
+    const name = (prompt('Save layout as:', activeLayout ? activeLayout.name : '') || '').trim();
+    if (!name) return;
+
+    const existing = savedLayouts.find(layout => layout.name.toLowerCase() === name.toLowerCase());
+    if (existing && (!activeLayout || existing.id !== activeLayout.id) &&
+        !confirm(`Replace the saved layout "${existing.name}"?`)) {
+        return;
+    }
+
+    // Keep saved positions of artists not on screen (e.g. outside focus mode's neighborhood)
+    const positions = new Map();
+    if (existing && activeLayout && existing.id === activeLayout.id) {
+        activeLayout.positions.forEach(p => positions.set(p.artist_id, { artistId: p.artist_id, x: p.x, y: p.y }));
+    }
+    cy.nodes().not('.cluster-node').forEach(node => {
+        const { x, y } = node.position();
+        positions.set(parseInt(node.id()), { artistId: parseInt(node.id()), x, y });
+    });
+
+    try {
+        const response = await fetch(existing ? apiUrl(`/layouts/${existing.id}`) : apiUrl('/layouts'), {
+            method: existing ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, zoom: cy.zoom(), pan: cy.pan(), positions: [...positions.values()] })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            activeLayout = data;
+            localStorage.setItem(LAYOUT_STORAGE_KEY, data.id);
+            await loadLayouts();
+            showToast(`Layout "${data.name}" saved`, 'success');
+        } else {
+            showToast(getErrorMessage(data, 'Failed to save layout'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Delete the active saved layout; the graph keeps its current arrangement
+async function deleteLayout() {
+    if (!activeLayout || !confirm(`Delete the saved layout "${activeLayout.name}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(apiUrl(`/layouts/${activeLayout.id}`), { method: 'DELETE' });
+        const data = await response.json();
+
+        if (response.ok) {
+            showToast(`Layout "${activeLayout.name}" deleted`, 'success');
+            activeLayout = null;
+            localStorage.removeItem(LAYOUT_STORAGE_KEY);
+            await loadLayouts();
+        } else {
+            showToast(getErrorMessage(data, 'Failed to delete layout'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Render only the N-hop neighborhood of an artist
+async function loadNeighborhood(artistId) {
+    const depth = document.getElementById('focusDepth').value;
+    const response = await fetch(apiUrl(`/artists/${artistId}/neighborhood?depth=${depth}`));
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(getErrorMessage(data, 'Failed to load neighborhood'));
+    }
+
+    renderGraph(data);
+    cy.getElementById(artistId.toString()).addClass('focus-root');
+}
+
+// Toggle focus mode on the selected artist
+function toggleFocusMode() {
+    if (focusArtistId) {
+        setFocusArtist(null);
+        return;
+    }
+
+    const panel = document.getElementById('nodeInfo');
+    const artistId = !panel.classList.contains('hidden')
+        ? parseInt(panel.dataset.artistId)
+        : currentArtistId;
+
+    if (!artistId) {
+        showToast('Select an artist to focus on first', 'warning');
+        return;
+    }
+
+    setFocusArtist(artistId);
+}
+
+// Focus the graph on an artist's neighborhood, or pass null to show the whole graph
+async function setFocusArtist(artistId) {
+    focusArtistId = artistId;
+    document.getElementById('focusMode').classList.toggle('active', !!artistId);
+    await loadGraphData();
+}
+
+// Pull in the direct neighbors of a node without re-rendering the rest of the graph
+async function expandNode(node) {
+    try {
+        const response = await fetch(apiUrl(`/artists/${node.id()}/neighborhood?depth=1`));
+        const data = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to expand artist'), 'error');
+            return;
+        }
+
+        const newElements = buildElements(data.artists, data.relationships)
+            .filter(ele => cy.getElementById(ele.data.id).length === 0);
+        const newNodes = newElements.filter(ele => ele.group === 'nodes');
+
+        if (newElements.length === 0) {
+            showToast('No more connections to expand', 'warning');
+            return;
+        }
+
+        // Place new neighbors in a ring around the expanded node
+        const center = node.position();
+        const radius = 120;
+        newNodes.forEach((ele, index) => {
+            const angle = (2 * Math.PI * index) / newNodes.length;
+            ele.position = {
+                x: center.x + radius * Math.cos(angle),
+                y: center.y + radius * Math.sin(angle)
+            };
+        });
+
+        const added = cy.add(newElements);
+        applyTagFilter();
+        applyCollapsedClusters();
+        applyRecommendationHighlight();
+        added.nodes().style('opacity', 0);
+        added.nodes().animate({ style: { opacity: 1 } }, {
+            duration: 400,
+            complete: () => added.nodes().removeStyle('opacity')
+        });
+
+        showToast(`Expanded ${newNodes.length} artist(s)`, 'success');
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Import a previously exported file
+async function importData() {
+    const fileInput = document.getElementById('importFile');
+    const file = fileInput.files[0];
+
+    if (!file) {
+        showToast('Please choose a file to import', 'warning');
+        return;
+    }
+
+    const extension = file.name.split('.').pop().toLowerCase();
+    const format = ['json', 'csv', 'graphml', 'gexf'].includes(extension) ? extension : null;
+
+    showLoading(true);
+
+    try {
+        const query = format ? `?format=${format}` : '';
+        const response = await fetch(apiUrl(`/import${query}`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain', 'X-Client-Id': CLIENT_ID },
+            body: await file.text()
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            const { artists, relationships, errors } = data;
+            showToast(
+                `Artists: ${artists.created} created, ${artists.updated} updated, ${artists.skipped} skipped. ` +
+                `Connections: ${relationships.created} created, ${relationships.updated} updated, ${relationships.skipped} skipped.`,
+                'success'
+            );
+            if (errors.length > 0) {
+                showToast(`${errors.length} record(s) had problems: ${errors[0].record}: ${errors[0].error}`, 'warning');
+            }
+            fileInput.value = '';
+            applyGraphChanges(data.graph);
+        } else {
+            showFieldErrors(data, { body: 'importFile' });
+            showToast(getErrorMessage(data, 'Failed to import file'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Import downloaded Spotify files (streaming history, artist and related-artists responses)
+async function importSpotifyData() {
+    const fileInput = document.getElementById('spotifyFiles');
+
+    if (fileInput.files.length === 0) {
+        showToast('Please choose Spotify JSON files to import', 'warning');
+        return;
+    }
+
+    const formData = new FormData();
+    for (const file of fileInput.files) {
+        formData.append('files', file);
+    }
+    formData.append('seed', document.getElementById('spotifySeed').value.trim());
+    formData.append('minPlays', document.getElementById('spotifyMinPlays').value);
+
+    showLoading(true);
+
+    try {
+        const response = await fetch(apiUrl('/import/spotify'), { method: 'POST', headers: { 'X-Client-Id': CLIENT_ID }, body: formData });
+        const data = await response.json();
+
+        if (response.ok) {
+            const { artists, relationships, plays, errors } = data;
+            showToast(
+                `Artists: ${artists.created} created, ${artists.existing} existing. ` +
+                `Connections: ${relationships.created} created. Plays: ${plays.added} added.`,
+                'success'
+            );
+            if (errors.length > 0) {
+                showToast(`${errors.length} file(s) had problems: ${errors[0].file}: ${errors[0].error}`, 'warning');
+            }
+            fileInput.value = '';
+            applyGraphChanges(data.graph);
+        } else {
+            const detail = data.errors && data.errors.length > 0 ? ` (${data.errors[0].file}: ${data.errors[0].error})` : '';
+            showFieldErrors(data, SPOTIFY_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to import Spotify data') + detail, 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Load and list likely duplicate artists
+async function loadDuplicates() {
+    const listDiv = document.getElementById('duplicateList');
+
+    try {
+        const response = await fetch(apiUrl('/artists/duplicates'));
+        const duplicates = await response.json();
+
+        if (!response.ok) {
+            showToast(getErrorMessage(duplicates, 'Failed to find duplicates'), 'error');
+            return;
+        }
+
+        if (duplicates.length === 0) {
+            listDiv.innerHTML = '<p class="duplicate-empty">No likely duplicates found</p>';
+            return;
+        }
+
+        listDiv.innerHTML = duplicates.map(({ artists: [a, b], reason }) => `
+            <div class="duplicate-item">
+                <div class="duplicate-names">${escapeHTML(a.name)}<i class="fas fa-arrows-alt-h"></i>${escapeHTML(b.name)}</div>
+                <div class="duplicate-reason">${escapeHTML(reason)}</div>
+                <div class="duplicate-actions">
+                    <button class="btn btn-small btn-secondary" onclick="mergeDuplicate(${a.id}, ${b.id})">Keep ${escapeHTML(a.name)}</button>
+                    <button class="btn btn-small btn-secondary" onclick="mergeDuplicate(${b.id}, ${a.id})">Keep ${escapeHTML(b.name)}</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
 
-            if (seenEdges.has(key)) {
-                return false;
-            }
-            seenEdges.add(key);
-            return true;
+// Merge one artist into another
+async function mergeDuplicate(targetId, sourceId) {
+    const target = allArtists.find(a => a.id === targetId);
+    const source = allArtists.find(a => a.id === sourceId);
+
+    if (!target || !source) return;
+
+    if (!confirm(`Merge "${source.name}" into "${target.name}"? All connections will move to "${target.name}".`)) {
+        return;
+    }
+
+    showLoading(true);
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${targetId}/merge`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+            body: JSON.stringify({ sourceId })
         });
 
-        // Add edges
-        const edges = uniqueRelationships.map((rel, index) => ({
-            group: 'edges',
-            data: {
-                id: `edge-${index}`,
-                source: rel.artist_id.toString(),
-                target: rel.related_artist_id.toString()
+        const data = await response.json();
+
+        if (response.ok) {
+            showToast(`Merged "${source.name}" into "${target.name}"`, 'success');
+
+            if (currentArtistId === sourceId) {
+                currentArtistId = targetId;
+            }
+            if (focusArtistId === sourceId) {
+                focusArtistId = targetId;
+            }
+
+            applyGraphChanges(data.graph);
+            await loadDuplicates();
+        } else {
+            showToast(getErrorMessage(data, 'Failed to merge artists'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Look up the primary (first assigned) tag from a list of tag IDs
+function getPrimaryTag(tagIds) {
+    if (!tagIds || tagIds.length === 0) return null;
+    return allTags.find(tag => tag.id === tagIds[0]) || null;
+}
+
+// Refresh the tag filter options and legend after tags change
+function renderTagControls() {
+    const filter = document.getElementById('tagFilter');
+
+    // Drop a filter on a tag that no longer exists
+    if (tagFilterId && !allTags.some(tag => tag.id === tagFilterId)) {
+        tagFilterId = null;
+    }
+
+    filter.innerHTML = '<option value="">All tags</option>' + allTags.map(tag => `
+        <option value="${tag.id}" ${tag.id === tagFilterId ? 'selected' : ''}>${escapeHTML(tag.name)}</option>
+    `).join('');
+
+    renderLegend();
+}
+
+// Color for a cluster; single-artist clusters (and unknown ones) are gray
+function getClusterColor(clusterId) {
+    const cluster = allClusters.find(c => c.id === clusterId);
+    if (!cluster || cluster.size < 2) return '#555';
+    return CLUSTER_COLORS[clusterId % CLUSTER_COLORS.length];
+}
+
+// Collapse a cluster into a single node
+function collapseCluster(clusterId) {
+    const cluster = allClusters.find(c => c.id === clusterId);
+    if (!cluster || cluster.size < 2) return;
+
+    // Remember clusters by their label artist; cluster IDs change when the graph is re-clustered
+    collapsedClusters.add(cluster.anchorId);
+    hideNodeInfo();
+    applyCollapsedClusters();
+}
+
+// Expand a collapsed cluster back into its artists
+function expandCluster(clusterId) {
+    const cluster = allClusters.find(c => c.id === clusterId);
+    if (!cluster) return;
+
+    collapsedClusters.delete(cluster.anchorId);
+    applyCollapsedClusters();
+}
+
+// Collapse every multi-artist cluster, or expand them all if any is collapsed
+function toggleAllClusters() {
+    if (collapsedClusters.size > 0) {
+        collapsedClusters.clear();
+    } else {
+        allClusters.filter(cluster => cluster.size > 1).forEach(cluster => collapsedClusters.add(cluster.anchorId));
+    }
+    document.getElementById('collapseClusters').classList.toggle('active', collapsedClusters.size > 0);
+    applyCollapsedClusters();
+}
+
+// Rebuild cluster nodes: hide the members of each collapsed cluster, put one
+// node in their place, and reroute their edges to it (merging parallel ones)
+function applyCollapsedClusters() {
+    cy.batch(() => {
+        cy.remove('.cluster-node');
+        cy.elements('.collapsed').removeClass('collapsed');
+
+        for (const anchorId of [...collapsedClusters]) {
+            const anchor = allArtists.find(a => a.id === anchorId);
+            const cluster = anchor && allClusters.find(c => c.id === anchor.cluster);
+            if (!cluster || cluster.size < 2) {
+                collapsedClusters.delete(anchorId);
+                continue;
             }
+
+            const members = cy.nodes().filter(node => node.data('cluster') === cluster.id);
+            if (members.length === 0) continue;
+
+            const box = members.boundingBox();
+            cy.add({
+                group: 'nodes',
+                classes: 'cluster-node',
+                data: {
+                    id: `cluster-${cluster.id}`,
+                    name: `${cluster.label} +${cluster.size - 1}`,
+                    cluster: cluster.id,
+                    size: members.length
+                },
+                position: { x: (box.x1 + box.x2) / 2, y: (box.y1 + box.y2) / 2 }
+            });
+            members.addClass('collapsed');
+        }
+
+        const representative = node => node.hasClass('collapsed') ? `cluster-${node.data('cluster')}` : node.id();
+        const clusterEdges = new Map();
+        cy.edges().forEach(edge => {
+            if (!edge.source().hasClass('collapsed') && !edge.target().hasClass('collapsed')) return;
+
+            const source = representative(edge.source());
+            const target = representative(edge.target());
+            if (source === target) return;
+
+            const key = [source, target].sort().join('-');
+            const existing = clusterEdges.get(key);
+            clusterEdges.set(key, { source, target, count: existing ? existing.count + 1 : 1 });
+        });
+        clusterEdges.forEach(({ source, target, count }, key) => {
+            cy.add({
+                group: 'edges',
+                classes: 'cluster-edge',
+                data: { id: `cluster-edge-${key}`, source, target, count }
+            });
+        });
+    });
+
+    document.getElementById('collapseClusters').classList.toggle('active', collapsedClusters.size > 0);
+}
+
+// Show a color legend for the primary-tag, metric, component and cluster color modes
+function renderLegend() {
+    const legend = document.getElementById('graphLegend');
+
+    if (ANALYTICS_METRICS[colorMode]) {
+        legend.innerHTML = [['Highest', 1], ['Middle', 0.5], ['Lowest', 0]].map(([label, share]) => `
+            <div class="legend-item">
+                <span class="legend-swatch" style="background: ${getMetricColor(share)}"></span>${label} ${ANALYTICS_METRICS[colorMode].toLowerCase()}
+            </div>
+        `).join('');
+        legend.classList.remove('hidden');
+        return;
+    }
+
+    if (colorMode === 'cluster') {
+        const shown = allClusters.filter(cluster => cluster.size > 1).slice(0, CLUSTER_COLORS.length);
+        legend.innerHTML = [...shown.map(cluster => ({
+            label: `${cluster.label} (${cluster.size})`,
+            color: getClusterColor(cluster.id)
+        })), { label: 'Unclustered', color: '#555' }].map(item => `
+            <div class="legend-item">
+                <span class="legend-swatch" style="background: ${item.color}"></span>${escapeHTML(item.label)}
+            </div>
+        `).join('');
+        legend.classList.remove('hidden');
+        return;
+    }
+
+    if (colorMode === 'component') {
+        const components = new Map();
+        analyticsById.forEach(metrics => components.set(metrics.component, (components.get(metrics.component) || 0) + 1));
+        const shown = COMPONENT_COLORS.length - 1;
+        const items = [...components.keys()].sort((a, b) => a - b).slice(0, shown).map(id => ({
+            label: `Component ${id + 1} (${components.get(id)})`,
+            color: COMPONENT_COLORS[id]
         }));
+        if (components.size > shown) {
+            items.push({ label: `${components.size - shown} smaller`, color: COMPONENT_COLORS[shown] });
+        }
+        legend.innerHTML = items.map(item => `
+            <div class="legend-item">
+                <span class="legend-swatch" style="background: ${item.color}"></span>${item.label}
+            </div>
+        `).join('');
+        legend.classList.remove('hidden');
+        return;
+    }
 
-        cy.add([...nodes, ...edges]);
+    if (colorMode !== 'tag') {
+        legend.classList.add('hidden');
+        return;
+    }
 
-        // Run layout with animation - using cola for better spring physics
-        const layout = cy.layout({
-            name: 'cola',
-            animate: true,
-            animationDuration: 1000,
-            animationEasing: 'ease-out',
-            refresh: 1,
-            maxSimulationTime: 2000,
-            ungrabifyWhileSimulating: false,
-            fit: true,
-            padding: 50,
-            nodeDimensionsIncludeLabels: true,
-            // Physics parameters
-            edgeLength: 100,
-            edgeSymDiffLength: undefined,
-            edgeJaccardLength: undefined,
-            nodeSpacing: 40,
-            flow: undefined,
-            alignment: undefined,
-            gapInequalities: undefined,
-            // Spring physics
-            randomize: false,
-            avoidOverlap: true,
-            handleDisconnected: true,
-            convergenceThreshold: 0.01,
-            // Make nodes stick together more naturally
-            unconstrIter: undefined,
-            userConstIter: undefined,
-            allConstIter: undefined
-        });
-
-        layout.run();
-
-        // Fit graph after layout
-        setTimeout(() => {
-            cy.fit(null, 50);
-        }, 1100);
+    const usedTags = allTags.filter(tag => tag.artist_count > 0);
+    legend.innerHTML = [...usedTags, { name: 'No tag', color: '#555' }].map(tag => `
+        <div class="legend-item">
+            <span class="legend-swatch" style="background: ${escapeHTML(tag.color)}"></span>${escapeHTML(tag.name)}
+        </div>
+    `).join('');
+    legend.classList.remove('hidden');
+}
+
+// Hide artists that don't carry the selected tag
+function applyTagFilter() {
+    cy.nodes().removeClass('filtered-out');
+
+    if (tagFilterId) {
+        cy.nodes()
+            .filter(node => !(node.data('tags') || []).includes(tagFilterId))
+            .addClass('filtered-out');
+    }
+}
+
+// Render an artist's tags as removable chips in the node info panel
+function renderNodeTags(artist) {
+    const tags = (artist.tags || [])
+        .map(tagId => allTags.find(tag => tag.id === tagId))
+        .filter(Boolean);
+
+    document.getElementById('nodeTags').innerHTML = tags.map(tag => `
+        <span class="tag-chip" style="border-color: ${escapeHTML(tag.color)}">
+            ${escapeHTML(tag.name)}
+            <i class="fas fa-times" onclick="removeTagFromArtist(${tag.id})"></i>
+        </span>
+    `).join('');
+}
 
+// Apply an artist's updated tag list to local state and the graph
+async function applyArtistTags(artistId, tags) {
+    const artist = allArtists.find(a => a.id === artistId);
+    if (artist) {
+        artist.tags = tags.map(tag => tag.id);
+        cy.getElementById(artistId.toString()).data('tags', artist.tags);
+        renderNodeTags(artist);
+    }
+
+    // Tag counts (and possibly the tag list) changed
+    const response = await fetch(apiUrl('/tags'));
+    allTags = await response.json();
+    renderTagControls();
+    cy.style().update();
+    applyTagFilter();
+}
+
+// Add a tag to the artist shown in the info panel
+async function addTagToArtist() {
+    const input = document.getElementById('nodeTagInput');
+    const tagName = input.value.trim();
+    const artistId = parseInt(document.getElementById('nodeInfo').dataset.artistId);
+
+    if (!tagName) return;
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${artistId}/tags`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+            body: JSON.stringify({ tags: [tagName] })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            input.value = '';
+            await applyArtistTags(artistId, data);
+        } else {
+            showFieldErrors(data, { tags: 'nodeTagInput' });
+            showToast(getErrorMessage(data, 'Failed to add tag'), 'error');
+        }
     } catch (error) {
-        showToast('Failed to load graph data: ' + error.message, 'error');
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Remove a tag from the artist shown in the info panel
+async function removeTagFromArtist(tagId) {
+    const artistId = parseInt(document.getElementById('nodeInfo').dataset.artistId);
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${artistId}/tags/${tagId}`), {
+            method: 'DELETE',
+            headers: { 'X-Client-Id': CLIENT_ID }
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            await applyArtistTags(artistId, data);
+        } else {
+            showToast(getErrorMessage(data, 'Failed to remove tag'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Undo or redo the latest change on the server, then apply it to the graph
+async function replayChange(direction) {
+    showLoading(true);
+
+    try {
+        const response = await fetch(apiUrl(`/${direction}`), { method: 'POST', headers: { 'X-Client-Id': CLIENT_ID } });
+        const data = await response.json();
+
+        if (response.ok) {
+            const change = direction === 'undo' ? data.undone : data.redone;
+            showToast(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${change.label}`, 'success');
+            hideNodeInfo();
+            hideEdgeInfo();
+            applyGraphChanges(data.graph);
+        } else {
+            showToast(getErrorMessage(data, `Failed to ${direction}`), response.status === 409 ? 'warning' : 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
     } finally {
         showLoading(false);
     }
 }
 
+// Undo the latest change
+function undoChange() {
+    replayChange('undo');
+}
+
+// Redo the latest undone change
+function redoChange() {
+    replayChange('redo');
+}
+
 // Show node info panel
 function showNodeInfo(nodeData) {
     const panel = document.getElementById('nodeInfo');
@@ -723,17 +2833,128 @@ function showNodeInfo(nodeData) {
 
     if (!artist) return;
 
+    hideEdgeInfo();
+
     document.getElementById('nodeArtistName').textContent = artist.name;
     document.getElementById('nodeLocation').textContent = artist.location || 'Unknown';
-    document.getElementById('nodeRating').textContent = artist.rating || 5;
-    document.getElementById('nodeExplored').textContent = artist.explored ? 'Explored ✓' : 'Not explored yet';
+    document.getElementById('nodeRating').textContent = artist.rating ?? 'Not rated';
+    document.getElementById('nodeExplored').textContent = artist.explored
+        ? `Explored ✓${artist.explored_at ? ` on ${formatTimestamp(artist.explored_at)}` : ''}`
+        : 'Not explored yet';
+    renderNodeTags(artist);
 
     // Count connections
     const connections = cy.getElementById(nodeData.id).connectedEdges().length;
     document.getElementById('nodeConnections').textContent = connections;
 
+    const cluster = allClusters.find(c => c.id === artist.cluster);
+    document.getElementById('nodeCluster').textContent = cluster ? `${cluster.label} (${cluster.size} artists)` : '-';
+    document.getElementById('collapseCluster').disabled = !cluster || cluster.size < 2;
+
+    // Listening history from imported Spotify data
+    const listening = document.getElementById('nodeListening');
+    if (artist.ms_played > 0) {
+        const hours = (artist.ms_played / 3600000).toFixed(1);
+        document.getElementById('nodePlays').textContent =
+            `${artist.play_count} plays, ${hours} h, last ${artist.last_played.slice(0, 10)}`;
+        listening.classList.remove('hidden');
+    } else {
+        listening.classList.add('hidden');
+    }
+
     panel.classList.remove('hidden');
     panel.dataset.artistId = artistId;
+    loadArtistHistory(artistId);
+}
+
+// Format a UTC timestamp from SQLite ("YYYY-MM-DD HH:MM:SS") as a local date
+function formatTimestamp(timestamp) {
+    return new Date(timestamp.replace(' ', 'T') + 'Z').toLocaleDateString();
+}
+
+// Load an artist's exploration history into the node info timeline
+async function loadArtistHistory(artistId) {
+    const timeline = document.getElementById('nodeHistory');
+    timeline.innerHTML = '';
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${artistId}/history`));
+        const data = await response.json();
+
+        // Ignore the response if another artist was opened meanwhile
+        if (parseInt(document.getElementById('nodeInfo').dataset.artistId) !== artistId) return;
+
+        if (!response.ok) {
+            showToast(getErrorMessage(data, 'Failed to load history'), 'error');
+            return;
+        }
+
+        renderArtistHistory(data);
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Render history events newest first, ending with when the artist was added
+function renderArtistHistory(history) {
+    const describe = entry => {
+        switch (entry.event) {
+            case 'explored':
+                return '<i class="fas fa-check-circle"></i> Marked explored';
+            case 'unexplored':
+                return '<i class="fas fa-undo"></i> Marked not explored';
+            case 'rated':
+                return entry.rating === null
+                    ? '<i class="fas fa-star"></i> Rating cleared'
+                    : `<i class="fas fa-star"></i> Rated ${entry.rating}/10${entry.previous_rating !== null ? ` (was ${entry.previous_rating})` : ''}`;
+            default:
+                return '<i class="fas fa-sticky-note"></i> Note';
+        }
+    };
+
+    const items = [...history.events].reverse().map(entry => `
+        <li class="timeline-item timeline-${entry.event}">
+            <span class="timeline-date">${formatTimestamp(entry.created_at)}</span>
+            <span class="timeline-event">${describe(entry)}</span>
+            ${entry.note ? `<span class="timeline-note">${escapeHTML(entry.note)}</span>` : ''}
+        </li>
+    `);
+    items.push(`
+        <li class="timeline-item">
+            <span class="timeline-date">${formatTimestamp(history.createdAt)}</span>
+            <span class="timeline-event"><i class="fas fa-plus-circle"></i> Added to the graph</span>
+        </li>
+    `);
+
+    document.getElementById('nodeHistory').innerHTML = items.join('');
+}
+
+// Add a note to the history of the artist shown in the node info panel
+async function addArtistNote() {
+    const input = document.getElementById('nodeNoteInput');
+    const note = input.value.trim();
+    const artistId = parseInt(document.getElementById('nodeInfo').dataset.artistId);
+
+    if (!note) return;
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${artistId}/history`), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+            body: JSON.stringify({ note })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            input.value = '';
+            loadArtistHistory(artistId);
+        } else {
+            showFieldErrors(data, { note: 'nodeNoteInput' });
+            showToast(getErrorMessage(data, 'Failed to add note'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
 }
 
 // Hide node info panel
@@ -741,6 +2962,128 @@ function hideNodeInfo() {
     document.getElementById('nodeInfo').classList.add('hidden');
 }
 
+// Show edge info panel
+function showEdgeInfo(edge) {
+    const panel = document.getElementById('edgeInfo');
+    const data = edge.data();
+    const sourceName = edge.source().data('name');
+    const targetName = edge.target().data('name');
+    const style = RELATIONSHIP_STYLES[data.type] || RELATIONSHIP_STYLES.related;
+
+    hideNodeInfo();
+
+    document.getElementById('edgeTitle').textContent = `${sourceName} – ${targetName}`;
+    document.getElementById('edgeType').textContent = style.label;
+    document.getElementById('edgeDirection').textContent = data.directed ? `${sourceName} → ${targetName}` : 'None';
+    document.getElementById('edgeWeight').textContent = data.weight;
+    document.getElementById('edgeSource').textContent = data.origin || 'Unknown';
+    document.getElementById('edgeNotes').textContent = data.notes || '-';
+
+    document.getElementById('edgeEditForm').classList.add('hidden');
+    document.getElementById('edgeActions').classList.remove('hidden');
+
+    panel.classList.remove('hidden');
+    panel.dataset.edgeId = data.id;
+}
+
+// Hide edge info panel
+function hideEdgeInfo() {
+    document.getElementById('edgeInfo').classList.add('hidden');
+}
+
+// Open the edit form for the edge shown in the panel
+function editEdge() {
+    const edge = cy.getElementById(document.getElementById('edgeInfo').dataset.edgeId);
+    if (edge.length === 0) return;
+
+    const data = edge.data();
+    const sourceName = edge.source().data('name');
+    const targetName = edge.target().data('name');
+
+    document.getElementById('edgeTypeInput').value = data.type;
+    document.getElementById('edgeDirectionInput').innerHTML = `
+        <option value="none">None</option>
+        <option value="outgoing">${escapeHTML(sourceName)} → ${escapeHTML(targetName)}</option>
+        <option value="incoming">${escapeHTML(targetName)} → ${escapeHTML(sourceName)}</option>
+    `;
+    document.getElementById('edgeDirectionInput').value = data.directed ? 'outgoing' : 'none';
+    document.getElementById('edgeWeightInput').value = data.weight;
+    document.getElementById('edgeSourceInput').value = data.origin || '';
+    document.getElementById('edgeNotesInput').value = data.notes || '';
+
+    document.getElementById('edgeActions').classList.add('hidden');
+    document.getElementById('edgeEditForm').classList.remove('hidden');
+}
+
+// Save relationship metadata from the edge edit form
+async function saveEdge() {
+    const edge = cy.getElementById(document.getElementById('edgeInfo').dataset.edgeId);
+    if (edge.length === 0) return;
+
+    const weight = parseFloat(document.getElementById('edgeWeightInput').value);
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${edge.data('source')}/related/${edge.data('target')}`), {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID },
+            body: JSON.stringify({
+                type: document.getElementById('edgeTypeInput').value,
+                direction: document.getElementById('edgeDirectionInput').value,
+                weight: isNaN(weight) ? undefined : weight,
+                source: document.getElementById('edgeSourceInput').value.trim() || null,
+                notes: document.getElementById('edgeNotesInput').value.trim() || null
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            applyGraphChanges(data.graph);
+
+            showToast('Relationship updated', 'success');
+            showEdgeInfo(cy.getElementById(edge.id()));
+        } else {
+            showFieldErrors(data, EDGE_FORM_FIELDS);
+            showToast(getErrorMessage(data, 'Failed to update relationship'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
+// Delete the relationship shown in the edge panel
+async function deleteEdge() {
+    const edge = cy.getElementById(document.getElementById('edgeInfo').dataset.edgeId);
+    if (edge.length === 0) return;
+
+    const sourceName = edge.source().data('name');
+    const targetName = edge.target().data('name');
+
+    if (!confirm(`Remove the connection between "${sourceName}" and "${targetName}"?`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(apiUrl(`/artists/${edge.data('source')}/related/${edge.data('target')}`), {
+            method: 'DELETE',
+            headers: { 'X-Client-Id': CLIENT_ID }
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            hideEdgeInfo();
+            applyGraphChanges(data.graph);
+
+            showToast(`Removed connection between "${sourceName}" and "${targetName}"`, 'success', { label: 'Undo', onClick: undoChange });
+        } else {
+            showToast(getErrorMessage(data, 'Failed to remove relationship'), 'error');
+        }
+    } catch (error) {
+        showToast('Network error: ' + error.message, 'error');
+    }
+}
+
 // Edit node
 function editNode() {
     const artistId = parseInt(document.getElementById('nodeInfo').dataset.artistId);
@@ -762,19 +3105,22 @@ async function deleteNode() {
     showLoading(true);
 
     try {
-        const response = await fetch(`/api/artists/${artistId}`, {
-            method: 'DELETE'
+        const response = await fetch(apiUrl(`/artists/${artistId}`), {
+            method: 'DELETE',
+            headers: { 'X-Client-Id': CLIENT_ID }
         });
 
+        const data = await response.json();
+
         if (response.ok) {
-            showToast(`Artist "${artist.name}" deleted`, 'success');
+            showToast(`Artist "${artist.name}" deleted`, 'success', { label: 'Undo', onClick: undoChange });
             hideNodeInfo();
 
             if (currentArtistId === artistId) {
                 clearForm();
             }
 
-            await loadGraphData();
+            applyGraphChanges(data.graph);
         } else {
             showToast('Failed to delete artist', 'error');
         }
@@ -788,11 +3134,12 @@ async function deleteNode() {
 // Clear form
 function clearForm() {
     currentArtistId = null;
+    artistFormBase = null;
     document.getElementById('artistName').value = '';
     document.getElementById('location').value = '';
     document.getElementById('explored').checked = false;
     document.getElementById('relatedArtistsCSV').value = '';
-    updateStars(5);
+    updateStars(null);
 }
 
 // Show/hide loading overlay
@@ -805,19 +3152,68 @@ function showLoading(show) {
     }
 }
 
-// Show toast notification
-function showToast(message, type = 'success') {
+// Get the message from an API error response ({ error: { code, message, fields } })
+function getErrorMessage(data, fallback) {
+    return (data && data.error && data.error.message) || fallback;
+}
+
+// Show an API error's field errors under the matching inputs (`inputs` maps
+// API field names to input IDs), clearing old errors on those inputs
+function showFieldErrors(data, inputs) {
+    const fields = (data && data.error && data.error.fields) || {};
+
+    Object.entries(inputs).forEach(([field, inputId]) => {
+        const input = document.getElementById(inputId);
+        clearFieldError(input);
+
+        if (fields[field]) {
+            const message = document.createElement('span');
+            message.className = 'field-error';
+            message.textContent = fields[field];
+            input.classList.add('input-error');
+            input.insertAdjacentElement('afterend', message);
+        }
+    });
+}
+
+// Remove a field error shown under an input
+function clearFieldError(input) {
+    if (!input.classList.contains('input-error')) return;
+
+    input.classList.remove('input-error');
+    if (input.nextElementSibling && input.nextElementSibling.classList.contains('field-error')) {
+        input.nextElementSibling.remove();
+    }
+}
+
+// Show toast notification; an optional action ({ label, onClick }) adds a
+// button and keeps the toast up longer
+function showToast(message, type = 'success', action = null) {
     const container = document.getElementById('toastContainer');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
 
-    container.appendChild(toast);
-
-    setTimeout(() => {
+    const dismiss = () => {
+        if (!toast.parentNode) return;
         toast.style.animation = 'slideInRight 0.3s ease reverse';
         setTimeout(() => {
-            container.removeChild(toast);
+            toast.remove();
         }, 300);
-    }, 3000);
+    };
+
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
+    container.appendChild(toast);
+
+    setTimeout(dismiss, action ? 6000 : 3000);
 }
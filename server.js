@@ -1,61 +1,487 @@
 const express = require('express');
 const bodyParser = require('body-parser');
+const multer = require('multer');
 const path = require('path');
 const db = require('./database');
+const interchange = require('./interchange');
+const csvImport = require('./csvimport');
+const spotify = require('./spotify');
+const analytics = require('./analytics');
+const auth = require('./auth');
+const { ApiError, badRequest, notFound, conflict, check, validate, sendError, errorHandler } = require('./validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '20mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize database
-db.initDatabase();
+// File uploads are kept in memory; imports are parsed straight from the buffer
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Initialize database (runs any pending schema migrations)
+try {
+  db.initDatabase();
+} catch (error) {
+  console.error(`Failed to initialize database: ${error.message}`);
+  process.exit(1);
+}
+
+// Name an artist for a change set label, e.g. 'artist "Björk"'
+function artistLabel(id) {
+  const artist = db.getArtistById(id);
+  return artist ? `artist "${artist.name}"` : 'artist';
+}
+
+// The graph elements a change set touched, with every artist's current cluster
+// (re-clustering can move artists the change didn't touch).
+function graphChanges(changeSetId) {
+  const changes = db.getGraphChanges(changeSetId);
+  const { clusterOf, clusters } = analytics.getCommunities();
+
+  return {
+    ...changes,
+    artists: changes.artists.map(artist => ({ ...artist, cluster: clusterOf.get(artist.id) ?? null })),
+    clusters,
+    clusterOf: Object.fromEntries(clusterOf)
+  };
+}
+
+// Thrown to roll back a journaled request that responded with an error
+const REQUEST_FAILED = new Error('Request failed');
+
+// Wrap a route handler so everything it writes is one undoable change set,
+// committed in one transaction; a request that responds with an error status
+// keeps none of its writes. The label may be a function of the request.
+// Successful object responses get a `graph` property describing the elements
+// the change touched (see graphChanges), sent once the change set is closed.
+function journaled(label, handler) {
+  return (req, res) => {
+    const json = res.json.bind(res);
+    let body;
+    let changeSetId;
+    res.json = value => {
+      body = value;
+      return res;
+    };
+
+    const text = typeof label === 'function' ? label(req) : label;
+    try {
+      db.recordChanges(text, id => {
+        changeSetId = id;
+        handler(req, res);
+        if (res.statusCode >= 400) {
+          throw REQUEST_FAILED;
+        }
+      });
+    } catch (error) {
+      if (error !== REQUEST_FAILED) throw error;
+    } finally {
+      res.json = json;
+    }
+
+    if (body === undefined) return;
+    if (res.statusCode >= 400) {
+      json(body);
+      return;
+    }
+    const graph = graphChanges(changeSetId);
+    const isObject = body !== null && typeof body === 'object' && !Array.isArray(body);
+    json(isObject ? { ...body, graph } : body);
+    broadcastChange(req, { action: 'change', changeSetId, label: text, graph });
+  };
+}
+
+// Open change streams (see GET /api/events), each { res, workspaceId, user }
+const changeStreams = new Set();
+// Comment lines sent this often keep idle streams from being closed by proxies
+const STREAM_HEARTBEAT_MS = 25000;
+// Longest X-Client-Id echoed back on change events
+const MAX_CLIENT_ID_LENGTH = 64;
+
+// Send a change set's graph changes to every stream open on the request's
+// workspace. Each stream gets the changes as its own user sees them, since
+// ratings and explored state are per user; graph is what the request's own
+// user was sent, and is reused for their streams. Change sets that turned out
+// to touch nothing aren't sent. Events carry the request's X-Client-Id header
+// so the page that made the change can recognise it.
+function broadcastChange(req, { action, changeSetId, label, graph }) {
+  const workspaceId = req.workspace.id;
+  const clientId = (req.get('X-Client-Id') || '').slice(0, MAX_CLIENT_ID_LENGTH) || null;
+  const byUser = new Map([[req.user.id, graph]]);
+
+  for (const stream of changeStreams) {
+    if (stream.workspaceId !== workspaceId) continue;
+
+    if (!byUser.has(stream.user.id)) {
+      byUser.set(stream.user.id, db.inWorkspace(workspaceId, () => db.asUser(stream.user.id, () => graphChanges(changeSetId))));
+    }
+    const changes = byUser.get(stream.user.id);
+    if (changes.artists.length + changes.relationships.length + changes.removedArtists.length + changes.removedRelationships.length === 0) {
+      continue;
+    }
+
+    const event = { action, label, user: req.user, clientId, graph: changes };
+    stream.res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+}
+
+// Accept tags as an array or a "jazz; bebop" style string
+function parseTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[;|]/);
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Validation schemas shared by several routes (see validation.js)
+const ID_PARAMS = { id: { type: 'id' } };
+
+const ARTIST_FIELDS = {
+  location: { type: 'string', nullable: true, maxLength: 200 },
+  rating: { type: 'integer', nullable: true, min: 1, max: 10 },
+  explored: { type: 'boolean' }
+};
+
+const RELATIONSHIP_FIELDS = {
+  type: { type: 'enum', nullable: true, values: () => Object.keys(db.RELATIONSHIP_TYPES) },
+  direction: { type: 'enum', nullable: true, values: () => Object.keys(db.REVERSE_DIRECTION) },
+  weight: {
+    type: 'number',
+    nullable: true,
+    exclusiveMin: 0,
+    max: 10,
+    message: 'Weight must be a number greater than 0 and at most 10'
+  },
+  source: { type: 'string', nullable: true, maxLength: 100 },
+  notes: { type: 'string', nullable: true, maxLength: 1000 }
+};
+
+const TAG_COLOR = { type: 'string', pattern: TAG_COLOR_PATTERN, message: 'Color must be a hex value like #1db954' };
+
+// Get an artist by ID, or throw a 404
+function requireArtist(id) {
+  const artist = db.getArtistById(id);
+  if (!artist) {
+    throw notFound('Artist');
+  }
+  return artist;
+}
+
+// Throw a 409 edit_conflict if an artist's fields no longer have the values an
+// edit was based on (`expected`, e.g. what the form showed when it was opened),
+// meaning someone changed them since. The response names each changed field
+// and carries the artist as it is now.
+function requireUnchanged(artist, expected) {
+  if (!expected) return;
+
+  const fields = {};
+  for (const field of Object.keys(ARTIST_FIELDS)) {
+    const value = expected[field];
+    const current = field === 'explored' ? artist.explored === 1 : artist[field];
+    if (value !== undefined && value !== current) {
+      fields[field] = `Changed to ${current === null ? 'nothing' : JSON.stringify(current)} since you started editing`;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ApiError(409, 'edit_conflict', `"${artist.name}" was changed while you were editing it`, fields, { artist });
+  }
+}
+
+// Resolve a path endpoint (ID or name), or throw a 404 naming the field
+function requireEndpoint(field, value) {
+  const artist = db.resolveArtist(value);
+  if (!artist) {
+    throw new ApiError(404, 'not_found', `Artist not found: ${value}`, { [field]: `No artist matches "${value}"` });
+  }
+  return artist;
+}
 
 // API Routes
 
-// Get all artists
-app.get('/api/artists', (req, res) => {
+// Routes for one workspace's graph. They are mounted under /api/workspaces/:ws
+// and, for the default workspace, directly under /api.
+const api = express.Router({ mergeParams: true });
+
+// Get a workspace by ID, or throw a 404
+function requireWorkspace(id) {
+  const workspace = db.getWorkspaceById(id);
+  if (!workspace) {
+    throw notFound('Workspace');
+  }
+  return workspace;
+}
+
+// Scope the rest of the request to the workspace in the URL (or the default
+// one) and the signed-in user. Database calls read the scope synchronously,
+// so routes with async body parsers enter it again after them.
+function scopeRequest(req, res, next) {
+  try {
+    if (!req.workspace) {
+      const { ws } = req.params.ws === undefined
+        ? { ws: db.DEFAULT_WORKSPACE_ID }
+        : check({ ws: { type: 'id', label: 'Workspace' } }, req.params);
+      req.workspace = requireWorkspace(ws);
+    }
+  } catch (error) {
+    return sendError(res, error);
+  }
+  db.inWorkspace(req.workspace.id, () => db.asUser(req.user.id, next));
+}
+
+// Make an opaque cursor pointing after an artist in a sorted listing
+function encodeCursor(sort, order, { key, id }) {
+  return Buffer.from(JSON.stringify({ sort, order, key, id })).toString('base64url');
+}
+
+// Read a listing cursor, or throw a 400 if it is malformed or from another sort
+function decodeCursor(cursor, sort, order) {
+  let data;
   try {
-    const artists = db.getAllArtists();
-    res.json(artists);
+    data = JSON.parse(Buffer.from(cursor, 'base64url').toString());
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    data = null;
+  }
+  if (!data || !Number.isInteger(data.id) || !['string', 'number'].includes(typeof data.key)) {
+    throw badRequest('Cursor is not valid', { cursor: 'Cursor is not valid' });
+  }
+  if (data.sort !== sort || data.order !== order) {
+    throw badRequest('Cursor belongs to a different sort order', {
+      cursor: `Cursor was made for sort=${data.sort}&order=${data.order}`
+    });
+  }
+  return { key: data.key, id: data.id };
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2})?)?$/;
+
+// List artists a page at a time, sorted and filtered
+api.get('/artists', validate({
+  query: {
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    cursor: { type: 'string', maxLength: 500 },
+    sort: { type: 'enum', values: () => Object.keys(db.ARTIST_SORTS), default: 'created_at' },
+    order: { type: 'enum', values: ['asc', 'desc'] },
+    explored: { type: 'boolean' },
+    minRating: { type: 'integer', min: 1, max: 10 },
+    maxRating: { type: 'integer', min: 1, max: 10 },
+    location: { type: 'string', maxLength: 200 },
+    createdFrom: { type: 'string', pattern: DATE_PATTERN, message: 'createdFrom must be a date like 2024-05-01' },
+    createdTo: { type: 'string', pattern: DATE_PATTERN, message: 'createdTo must be a date like 2024-05-01' },
+    minDegree: { type: 'integer', min: 0 },
+    maxDegree: { type: 'integer', min: 0 }
+  }
+}), (req, res) => {
+  try {
+    const query = req.query;
+    // Names read best A-Z; everything else largest/newest first
+    const order = query.order || (query.sort === 'name' ? 'asc' : 'desc');
+
+    const fields = {};
+    if (query.minRating !== undefined && query.maxRating !== undefined && query.minRating > query.maxRating) {
+      fields.maxRating = 'maxRating must not be less than minRating';
+    }
+    if (query.minDegree !== undefined && query.maxDegree !== undefined && query.minDegree > query.maxDegree) {
+      fields.maxDegree = 'maxDegree must not be less than minDegree';
+    }
+    if (Object.keys(fields).length > 0) {
+      throw badRequest(Object.values(fields)[0], fields);
+    }
+
+    const result = db.listArtists({
+      ...query,
+      order,
+      after: query.cursor ? decodeCursor(query.cursor, query.sort, order) : undefined
+    });
+
+    res.json({
+      artists: result.artists,
+      count: result.artists.length,
+      total: result.total,
+      totalArtists: result.totalArtists,
+      limit: query.limit,
+      sort: query.sort,
+      order,
+      nextCursor: result.next ? encodeCursor(query.sort, order, result.next) : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Search artists by name and location
+api.get('/search', validate({
+  query: {
+    q: { type: 'string', maxLength: 200 },
+    limit: { type: 'integer', min: 1, max: 50, default: 10 }
+  }
+}), (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (!q) {
+      return res.json([]);
+    }
+
+    res.json(db.searchArtists(q, limit));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // Get graph data
-app.get('/api/graph', (req, res) => {
+api.get('/graph', (req, res) => {
   try {
     const data = db.getGraphData();
-    res.json(data);
+    const { clusterOf, clusters } = analytics.getCommunities();
+
+    res.json({
+      ...data,
+      artists: data.artists.map(artist => ({ ...artist, cluster: clusterOf.get(artist.id) ?? null })),
+      clusters
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get artist by ID
-app.get('/api/artists/:id', (req, res) => {
+// Get centrality metrics, PageRank and connected components (cached until the next change)
+api.get('/analytics', (req, res) => {
+  try {
+    res.json(analytics.getAnalytics());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Recommend unexplored artists that connect strongly to highly rated explored ones
+api.get('/recommendations', validate({
+  query: { limit: { type: 'integer', min: 1, max: 100, default: 10 } }
+}), (req, res) => {
+  try {
+    res.json(analytics.getRecommendations(req.query.limit));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Find the shortest path between two artists (by ID or name)
+api.get('/path', validate({
+  query: {
+    from: { type: 'string', required: true },
+    to: { type: 'string', required: true }
+  }
+}), (req, res) => {
+  try {
+    const fromArtist = requireEndpoint('from', req.query.from);
+    const toArtist = requireEndpoint('to', req.query.to);
+
+    const result = db.findShortestPath(fromArtist.id, toArtist.id);
+    if (!result) {
+      throw new ApiError(404, 'no_path', `No path between "${fromArtist.name}" and "${toArtist.name}"`);
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Find the top-k alternative paths between two artists, ranked by a cost function
+api.get('/paths', validate({
+  query: {
+    from: { type: 'string', required: true },
+    to: { type: 'string', required: true },
+    k: { type: 'integer', min: 1, max: 10, default: 3 },
+    cost: { type: 'enum', values: () => Object.keys(db.PATH_COST_FUNCTIONS), default: 'hops' }
+  }
+}), (req, res) => {
   try {
-    const artist = db.getArtistById(req.params.id);
-    if (artist) {
-      res.json(artist);
-    } else {
-      res.status(404).json({ error: 'Artist not found' });
+    const { k, cost } = req.query;
+    const fromArtist = requireEndpoint('from', req.query.from);
+    const toArtist = requireEndpoint('to', req.query.to);
+
+    const paths = db.findKPaths(fromArtist.id, toArtist.id, k, cost);
+    if (paths.length === 0) {
+      throw new ApiError(404, 'no_path', `No path between "${fromArtist.name}" and "${toArtist.name}"`);
     }
+
+    res.json({ cost, paths });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
+// Copy artists (and their relationships) from another workspace into this one
+api.post('/artists/copy', validate({
+  body: {
+    from: { type: 'id', required: true, label: 'Source workspace' },
+    artistIds: { type: 'array', required: true, label: 'Artists' }
+  }
+}), journaled('Copy artists', (req, res) => {
+  try {
+    const { from, artistIds } = req.body;
+
+    if (from === req.workspace.id) {
+      throw badRequest('Artists are already in this workspace', { from: 'Choose a different workspace to copy from' });
+    }
+    const source = requireWorkspace(from);
+    if (artistIds.length === 0) {
+      throw badRequest('Choose at least one artist to copy', { artistIds: 'Choose at least one artist to copy' });
+    }
+
+    const fields = {};
+    db.inWorkspace(source.id, () => artistIds.forEach((id, index) => {
+      if (!Number.isInteger(id) || id < 1) {
+        fields[`artistIds.${index}`] = `artistIds.${index} must be a numeric ID`;
+      } else if (!db.getArtistById(id)) {
+        fields[`artistIds.${index}`] = `No artist ${id} in workspace "${source.name}"`;
+      }
+    }));
+    if (Object.keys(fields).length > 0) {
+      throw badRequest(Object.values(fields)[0], fields);
+    }
+
+    const result = db.copyArtists(source.id, artistIds);
+    res.json({ copied: result.createdArtists.length, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Suggest likely duplicate artists
+api.get('/artists/duplicates', (req, res) => {
+  try {
+    res.json(db.findDuplicateCandidates());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get artist by ID
+api.get('/artists/:id', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    res.json(requireArtist(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Values an edit was based on, checked by requireUnchanged
+const EXPECTED_ARTIST = { type: 'object', fields: ARTIST_FIELDS };
+
 // Create or update artist
-app.post('/api/artists', (req, res) => {
+api.post('/artists', validate({
+  body: { name: { type: 'string', required: true, maxLength: 200 }, ...ARTIST_FIELDS, expected: EXPECTED_ARTIST }
+}), journaled('Save artist', (req, res) => {
   try {
-    const { name, location, rating, explored } = req.body;
+    const { name, location, rating, explored, expected } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: 'Artist name is required' });
+    const existing = db.findArtistByName(name);
+    if (existing) {
+      requireUnchanged(existing, expected);
     }
 
     // Get or create the artist
@@ -68,77 +494,808 @@ app.post('/api/artists', (req, res) => {
 
     res.json(artist);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
-});
+}));
 
 // Update artist
-app.put('/api/artists/:id', (req, res) => {
+api.put('/artists/:id', validate({
+  params: ID_PARAMS,
+  body: { ...ARTIST_FIELDS, note: { type: 'string', maxLength: 1000 }, expected: EXPECTED_ARTIST }
+}), journaled('Update artist', (req, res) => {
   try {
-    const { rating, explored, location } = req.body;
-    const artist = db.updateArtist(req.params.id, { rating, explored, location });
+    const { rating, explored, location, note, expected } = req.body;
+    requireUnchanged(requireArtist(req.params.id), expected);
+    const artist = db.updateArtist(req.params.id, { rating, explored, location, note });
     res.json(artist);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+}));
+
+// Get an artist's exploration history: explored/unexplored transitions, rating changes and notes
+api.get('/artists/:id/history', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    const artist = requireArtist(req.params.id);
+
+    res.json({
+      artistId: artist.id,
+      createdAt: artist.created_at,
+      exploredAt: artist.explored_at,
+      events: db.getArtistHistory(artist.id)
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add a note to an artist's exploration history
+api.post('/artists/:id/history', validate({
+  params: ID_PARAMS,
+  body: { note: { type: 'string', required: true, maxLength: 1000 } }
+}), journaled('Add note', (req, res) => {
+  try {
+    const artist = requireArtist(req.params.id);
+    res.json(db.logExplorationEvent(artist.id, { event: 'note', note: req.body.note }));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Compare two users' ratings of this workspace's artists (userA defaults to
+// the signed-in user)
+api.get('/ratings/compare', validate({
+  query: {
+    userA: { type: 'id', label: 'User A' },
+    userB: { type: 'id', required: true, label: 'User B' }
+  }
+}), (req, res) => {
+  try {
+    const users = ['userA', 'userB'].map(field => {
+      const user = db.getUserById(req.query[field] ?? req.user.id);
+      if (!user) {
+        throw new ApiError(404, 'not_found', 'User not found', { [field]: 'No user has this ID' });
+      }
+      return user;
+    });
+
+    res.json({ userA: users[0], userB: users[1], ...db.compareUserRatings(users[0].id, users[1].id) });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // Add related artists (with CSV processing)
-app.post('/api/artists/:id/related', (req, res) => {
+api.post('/artists/:id/related', validate({
+  params: ID_PARAMS,
+  body: {
+    // Rows without a name are reported as skipped rather than rejected
+    relatedArtists: {
+      type: 'array',
+      required: true,
+      items: {
+        name: { type: 'string', maxLength: 200 },
+        location: { type: 'string', nullable: true, maxLength: 200 },
+        tags: { type: 'stringList' },
+        ...RELATIONSHIP_FIELDS
+      }
+    }
+  }
+}), journaled('Add related artists', (req, res) => {
+  try {
+    const artistId = req.params.id;
+    const { relatedArtists } = req.body;
+
+    requireArtist(artistId);
+
+    // All rows are added in one transaction, so a failure leaves nothing behind
+    const result = db.addRelatedArtists(artistId, relatedArtists.map(row => ({ ...row, tags: parseTagList(row.tags) })));
+
+    res.json({
+      added: result.newRelationships.length,
+      artists: [...result.newRelationships, ...result.duplicateRelationships],
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Update a relationship's metadata
+api.patch('/artists/:id/related/:relatedId', validate({
+  params: { ...ID_PARAMS, relatedId: { type: 'id' } },
+  body: RELATIONSHIP_FIELDS
+}), journaled('Edit connection', (req, res) => {
   try {
-    const artistId = parseInt(req.params.id);
-    const { relatedArtists } = req.body; // Array of { name, location }
+    const { id: artistId, relatedId } = req.params;
+    const { type, direction, weight, source, notes } = req.body;
 
-    if (!Array.isArray(relatedArtists)) {
-      return res.status(400).json({ error: 'relatedArtists must be an array' });
+    requireArtist(artistId);
+    if (!db.getRelationship(artistId, relatedId)) {
+      throw notFound('Relationship');
     }
 
-    const results = [];
+    const relationship = db.updateRelationship(artistId, relatedId, { type, direction, weight, source, notes });
+    res.json(relationship);
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
 
-    for (const { name, location } of relatedArtists) {
-      if (name && name.trim()) {
-        // Get or create the related artist
-        const relatedArtist = db.getOrCreateArtist(name.trim(), location?.trim() || null);
+// Remove a single relationship
+api.delete('/artists/:id/related/:relatedId', validate({
+  params: { ...ID_PARAMS, relatedId: { type: 'id' } }
+}), journaled('Remove connection', (req, res) => {
+  try {
+    const { id: artistId, relatedId } = req.params;
 
-        // Add relationship (if not the same artist)
-        if (relatedArtist.id !== artistId) {
-          db.addRelationship(artistId, relatedArtist.id);
-          results.push(relatedArtist);
-        }
-      }
+    requireArtist(artistId);
+    if (!db.getRelationship(artistId, relatedId)) {
+      throw notFound('Relationship');
     }
 
-    res.json({ added: results.length, artists: results });
+    db.removeRelationship(artistId, relatedId);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
+}));
+
+// Get the available relationship types
+api.get('/relationship-types', (req, res) => {
+  res.json(db.RELATIONSHIP_TYPES);
 });
 
 // Get related artists
-app.get('/api/artists/:id/related', (req, res) => {
+api.get('/artists/:id/related', validate({ params: ID_PARAMS }), (req, res) => {
   try {
+    requireArtist(req.params.id);
     const related = db.getRelatedArtists(req.params.id);
     res.json(related);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Merge another artist into this one
+api.post('/artists/:id/merge', validate({
+  params: ID_PARAMS,
+  body: { sourceId: { type: 'id', required: true } }
+}), journaled(req => `Merge ${artistLabel(req.body.sourceId)}`, (req, res) => {
+  try {
+    const targetId = req.params.id;
+    const { sourceId } = req.body;
+
+    if (sourceId === targetId) {
+      throw badRequest('Cannot merge an artist into itself', { sourceId: 'Choose a different artist to merge' });
+    }
+
+    requireArtist(targetId);
+    requireArtist(sourceId);
+
+    const artist = db.mergeArtists(targetId, sourceId);
+    res.json({ artist, aliases: db.getArtistAliases(targetId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Get aliases for an artist
+api.get('/artists/:id/aliases', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    requireArtist(req.params.id);
+    res.json(db.getArtistAliases(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Add an alias to an artist
+api.post('/artists/:id/aliases', validate({
+  params: ID_PARAMS,
+  body: { alias: { type: 'string', required: true, maxLength: 200 } }
+}), journaled('Add aliases', (req, res) => {
+  try {
+    const artistId = req.params.id;
+    const { alias } = req.body;
+
+    requireArtist(artistId);
+
+    if (!db.addArtistAlias(artistId, alias)) {
+      throw conflict(`Alias "${alias}" already belongs to another artist`, { alias: 'Already used by another artist' });
+    }
+
+    res.json(db.getArtistAliases(artistId));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Get tags for an artist
+api.get('/artists/:id/tags', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    requireArtist(req.params.id);
+    res.json(db.getArtistTags(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Tag an artist, creating any tags that don't exist yet
+api.post('/artists/:id/tags', validate({
+  params: ID_PARAMS,
+  body: { tags: { type: 'stringList' } }
+}), journaled('Tag artist', (req, res) => {
+  try {
+    const artistId = req.params.id;
+    const tagNames = parseTagList(req.body.tags);
+
+    if (tagNames.length === 0) {
+      throw badRequest('At least one tag is required', { tags: 'At least one tag is required' });
+    }
+
+    requireArtist(artistId);
+
+    for (const tagName of tagNames) {
+      db.addArtistTag(artistId, db.getOrCreateTag(tagName).id);
+    }
+
+    res.json(db.getArtistTags(artistId));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Remove a tag from an artist
+api.delete('/artists/:id/tags/:tagId', validate({
+  params: { ...ID_PARAMS, tagId: { type: 'id' } }
+}), journaled('Remove tag from artist', (req, res) => {
+  try {
+    requireArtist(req.params.id);
+    if (!db.getTagById(req.params.tagId)) {
+      throw notFound('Tag');
+    }
+
+    db.removeArtistTag(req.params.id, req.params.tagId);
+    res.json(db.getArtistTags(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Get the N-hop neighborhood of an artist
+api.get('/artists/:id/neighborhood', validate({
+  params: ID_PARAMS,
+  query: { depth: { type: 'integer', min: 1, max: 5, default: 1 } }
+}), (req, res) => {
+  try {
+    requireArtist(req.params.id);
+    res.json(db.getNeighborhood(req.params.id, req.query.depth));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // Delete artist
-app.delete('/api/artists/:id', (req, res) => {
+api.delete('/artists/:id', validate({ params: ID_PARAMS }), journaled(req => `Delete ${artistLabel(req.params.id)}`, (req, res) => {
   try {
+    requireArtist(req.params.id);
     db.deleteArtist(req.params.id);
     res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+}));
+
+// 409 for an undo or redo that would overwrite or break changes someone else made since
+function replayConflict(verb, changeSet) {
+  const { blockedBy } = changeSet;
+  return conflict(blockedBy
+    ? `Can't ${verb} "${changeSet.label}": ${blockedBy.username} has since changed the same data ("${blockedBy.label}")`
+    : `Can't ${verb} "${changeSet.label}": it conflicts with changes others have made since`);
+}
+
+// Undo your most recent change
+api.post('/undo', (req, res) => {
+  try {
+    const undone = db.undoChanges();
+    if (!undone) {
+      throw conflict('Nothing to undo');
+    }
+    if (undone.blocked) {
+      throw replayConflict('undo', undone);
+    }
+
+    const { undo, redo } = db.getJournal(0);
+    const graph = graphChanges(undone.id);
+    res.json({ undone, undo, redo, graph });
+    broadcastChange(req, { action: 'undo', changeSetId: undone.id, label: undone.label, graph });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Redo your most recently undone change
+api.post('/redo', (req, res) => {
+  try {
+    const redone = db.redoChanges();
+    if (!redone) {
+      throw conflict('Nothing to redo');
+    }
+    if (redone.blocked) {
+      throw replayConflict('redo', redone);
+    }
+
+    const { undo, redo } = db.getJournal(0);
+    const graph = graphChanges(redone.id);
+    res.json({ redone, undo, redo, graph });
+    broadcastChange(req, { action: 'redo', changeSetId: redone.id, label: redone.label, graph });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stream the workspace's changes as server-sent events. Each artist or
+// relationship change made by anyone is sent as a `change` event carrying
+// { action (change, undo or redo), label, user, graph }, where graph is as
+// in mutation responses and seen as this stream's user.
+api.get('/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  // Tell the browser how soon to reconnect if the stream drops
+  res.write('retry: 3000\n\n');
+
+  const stream = { res, workspaceId: req.workspace.id, user: req.user };
+  changeStreams.add(stream);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    changeStreams.delete(stream);
+  });
+});
+
+// List recent changes, and what undo and redo would do next
+api.get('/journal', validate({
+  query: { limit: { type: 'integer', min: 0, max: 200, default: 50 } }
+}), (req, res) => {
+  try {
+    res.json(db.getJournal(req.query.limit));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get all tags
+api.get('/tags', (req, res) => {
+  try {
+    res.json(db.getAllTags());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create tag
+api.post('/tags', validate({
+  body: { name: { type: 'string', required: true, maxLength: 100 }, color: TAG_COLOR }
+}), journaled('Create tag', (req, res) => {
+  try {
+    const { name, color } = req.body;
+
+    if (db.getTagByName(name)) {
+      throw conflict(`Tag "${name}" already exists`, { name: 'A tag with this name already exists' });
+    }
+
+    res.status(201).json(db.getOrCreateTag(name, color));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Update tag
+api.put('/tags/:id', validate({
+  params: ID_PARAMS,
+  body: { name: { type: 'string', nonEmpty: true, maxLength: 100 }, color: TAG_COLOR }
+}), journaled('Update tag', (req, res) => {
+  try {
+    const tagId = req.params.id;
+    const { name, color } = req.body;
+
+    if (!db.getTagById(tagId)) {
+      throw notFound('Tag');
+    }
+
+    const existing = name && db.getTagByName(name);
+    if (existing && existing.id !== tagId) {
+      throw conflict(`Tag "${name}" already exists`, { name: 'A tag with this name already exists' });
+    }
+
+    res.json(db.updateTag(tagId, { name, color }));
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Delete tag
+api.delete('/tags/:id', validate({ params: ID_PARAMS }), journaled('Delete tag', (req, res) => {
+  try {
+    if (!db.getTagById(req.params.id)) {
+      throw notFound('Tag');
+    }
+
+    db.deleteTag(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+const LAYOUT_FIELDS = {
+  zoom: { type: 'number', exclusiveMin: 0, max: 100, message: 'Zoom must be a number greater than 0 and at most 100' },
+  pan: { type: 'object', fields: { x: { type: 'number', required: true }, y: { type: 'number', required: true } } },
+  positions: {
+    type: 'array',
+    items: {
+      artistId: { type: 'id', required: true },
+      x: { type: 'number', required: true },
+      y: { type: 'number', required: true }
+    }
+  }
+};
+
+// Get a layout by ID, or throw a 404
+function requireLayout(id) {
+  const layout = db.getLayoutById(id);
+  if (!layout) {
+    throw notFound('Layout');
+  }
+  return layout;
+}
+
+// Throw a 409 if another layout already has this name
+function requireFreeLayoutName(name, id = null) {
+  const existing = db.getLayoutByName(name);
+  if (existing && existing.id !== id) {
+    throw conflict(`A layout named "${existing.name}" already exists`, { name: 'Already used by another layout' });
+  }
+}
+
+// Get all saved layouts (without positions)
+api.get('/layouts', (req, res) => {
+  try {
+    res.json(db.getLayouts());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a layout with its node positions
+api.get('/layouts/:id', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    res.json(requireLayout(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Save the current node positions, zoom and pan as a named layout. Layouts
+// are view state, so saving one isn't journaled for undo.
+api.post('/layouts', validate({
+  body: { name: { type: 'string', required: true, maxLength: 100 }, ...LAYOUT_FIELDS }
+}), (req, res) => {
+  try {
+    requireFreeLayoutName(req.body.name);
+    res.status(201).json(db.createLayout(req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Rename a layout or overwrite its positions, zoom and pan
+api.put('/layouts/:id', validate({
+  params: ID_PARAMS,
+  body: { name: { type: 'string', nonEmpty: true, maxLength: 100 }, ...LAYOUT_FIELDS }
+}), (req, res) => {
+  try {
+    requireLayout(req.params.id);
+    if (req.body.name !== undefined) {
+      requireFreeLayoutName(req.body.name, req.params.id);
+    }
+    res.json(db.updateLayout(req.params.id, req.body));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a layout
+api.delete('/layouts/:id', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    requireLayout(req.params.id);
+    db.deleteLayout(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Export the workspace's graph
+api.get('/export', validate({
+  query: { format: { type: 'enum', values: () => Object.keys(interchange.EXPORT_FORMATS), default: 'json' } }
+}), (req, res) => {
+  try {
+    const { format } = req.query;
+    const exportFormat = interchange.EXPORT_FORMATS[format];
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.type(exportFormat.contentType);
+    res.attachment(`artists-${date}.${exportFormat.extension}`);
+    res.send(interchange.exportGraph(format));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Import a previously exported (or Gephi-produced) file
+api.post('/import', bodyParser.text({ type: () => true, limit: '20mb' }), scopeRequest, journaled('Import', (req, res) => {
+  try {
+    const body = req.body;
+
+    if (!body || (typeof body === 'string' && !body.trim())) {
+      throw badRequest('Import body is empty', { body: 'Choose a file to import' });
+    }
+
+    const { format } = check({
+      format: { type: 'enum', values: Object.keys(interchange.EXPORT_FORMATS), default: interchange.detectFormat(body) }
+    }, req.query);
+
+    let report;
+    try {
+      report = interchange.importGraph(format, body);
+    } catch (error) {
+      throw new ApiError(400, 'import_failed', `Could not import ${format}: ${error.message}`);
+    }
+
+    res.json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Import artists from CSV with column mapping. Accepts raw text/csv, a
+// multipart upload (field "file") or JSON { csv, ...options }; options can
+// also be passed as query parameters.
+api.post('/import/csv', upload.single('file'), bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), scopeRequest, journaled('Import CSV', (req, res) => {
+  try {
+    const fields = req.body && typeof req.body === 'object' ? req.body : {};
+    const options = { ...req.query, ...fields };
+    const text = req.file ? req.file.buffer.toString('utf8') : typeof req.body === 'string' ? req.body : options.csv;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      throw badRequest('CSV is empty', { csv: 'Paste or upload some CSV' });
+    }
+
+    let mapping = options.mapping || null;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (error) {
+        mapping = undefined;
+      }
+    }
+    if (mapping !== null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      throw badRequest('Mapping must be a JSON object of field to column', { mapping: 'Must be a JSON object of field to column' });
+    }
+
+    const { header, artistId, type, direction, dryRun } = check({
+      header: { type: 'enum', values: ['auto', true, false, 'true', 'false'], default: 'auto' },
+      artistId: { type: 'id', nullable: true, default: null },
+      type: RELATIONSHIP_FIELDS.type,
+      direction: RELATIONSHIP_FIELDS.direction,
+      dryRun: { type: 'boolean', default: false }
+    }, options);
+
+    if (artistId !== null) {
+      requireArtist(artistId);
+    }
+
+    let report;
+    try {
+      report = csvImport.importCSV(text, {
+        header: header === 'auto' ? 'auto' : header === true || header === 'true',
+        mapping,
+        artistId,
+        type: type || undefined,
+        direction: direction || undefined,
+        dryRun
+      });
+    } catch (error) {
+      throw new ApiError(400, 'import_failed', `Could not import CSV: ${error.message}`);
+    }
+
+    res.json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+// Import downloaded Spotify data: streaming history exports and saved Web API
+// artist / related-artists responses. Accepts a multipart upload (field
+// "files", several allowed) or a single JSON file as the request body.
+api.post('/import/spotify', upload.array('files'), scopeRequest, journaled('Import Spotify data', (req, res) => {
+  try {
+    const options = { ...req.query, ...(req.files && req.files.length > 0 ? req.body : {}) };
+    const files = req.files && req.files.length > 0
+      ? req.files.map(file => ({ name: file.originalname, text: file.buffer.toString('utf8') }))
+      : req.is('application/json') ? [{ name: options.name || 'upload.json', data: req.body }] : [];
+
+    if (files.length === 0) {
+      throw badRequest('No Spotify files uploaded', { files: 'Choose one or more Spotify files' });
+    }
+
+    const { seed, minPlays } = check({
+      seed: { type: 'string', maxLength: 200 },
+      minPlays: { type: 'integer', min: 0 }
+    }, options);
+
+    const report = spotify.importSpotifyFiles(files, { seed, minPlays });
+    if (report.files.length === 0) {
+      throw new ApiError(400, 'import_failed', 'None of the files could be imported', {}, report);
+    }
+
+    res.json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+}));
+
+const CREDENTIALS = {
+  username: {
+    type: 'string',
+    required: true,
+    maxLength: 40,
+    pattern: /^[\w.-]+$/,
+    message: 'Username can only use letters, numbers, dots, dashes and underscores'
+  },
+  password: {
+    type: 'string',
+    required: true,
+    trim: false,
+    maxLength: 200,
+    pattern: /^[\s\S]{8,}$/,
+    message: 'Password must be at least 8 characters'
+  }
+};
+
+// Create an account and sign in as it
+app.post('/api/auth/register', validate({ body: CREDENTIALS }), (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (db.getUserByName(username)) {
+      throw conflict(`The username "${username}" is taken`, { username: 'Already used by another account' });
+    }
+
+    const user = db.createUser(username, auth.hashPassword(password));
+    auth.startSession(res, user);
+    res.status(201).json({ user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sign in
+app.post('/api/auth/login', validate({ body: CREDENTIALS }), (req, res) => {
+  try {
+    const user = db.getUserByName(req.body.username);
+    if (!user || !auth.verifyPassword(req.body.password, db.getPasswordHash(user.id))) {
+      throw new ApiError(401, 'invalid_credentials', 'Username or password is incorrect');
+    }
+
+    auth.startSession(res, user);
+    res.json({ user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Sign out
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    auth.endSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Everything else under /api needs a signed-in user
+app.use('/api', auth.authenticate);
+
+// Get the signed-in user
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Get all users, e.g. to pick one to compare ratings with
+app.get('/api/users', (req, res) => {
+  try {
+    res.json(db.getUsers());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+const WORKSPACE_NAME = { type: 'string', required: true, maxLength: 100 };
+
+// Throw a 409 if another workspace already has this name
+function requireFreeWorkspaceName(name, id = null) {
+  const existing = db.getWorkspaceByName(name);
+  if (existing && existing.id !== id) {
+    throw conflict(`A workspace named "${existing.name}" already exists`, { name: 'Already used by another workspace' });
+  }
+}
+
+// Get all workspaces with their artist counts
+app.get('/api/workspaces', (req, res) => {
+  try {
+    res.json(db.getWorkspaces());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create an empty workspace
+app.post('/api/workspaces', validate({ body: { name: WORKSPACE_NAME } }), (req, res) => {
+  try {
+    requireFreeWorkspaceName(req.body.name);
+    res.status(201).json(db.createWorkspace(req.body.name));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Rename a workspace
+app.put('/api/workspaces/:id', validate({ params: ID_PARAMS, body: { name: WORKSPACE_NAME } }), (req, res) => {
+  try {
+    requireWorkspace(req.params.id);
+    requireFreeWorkspaceName(req.body.name, req.params.id);
+    res.json(db.renameWorkspace(req.params.id, req.body.name));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a workspace and everything in it. This can't be undone.
+app.delete('/api/workspaces/:id', validate({ params: ID_PARAMS }), (req, res) => {
+  try {
+    requireWorkspace(req.params.id);
+    if (req.params.id === db.DEFAULT_WORKSPACE_ID) {
+      throw conflict('The default workspace cannot be deleted');
+    }
+
+    db.deleteWorkspace(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
+app.use('/api/workspaces/:ws', scopeRequest, api);
+app.use('/api', scopeRequest, api);
+
 // Serve index.html for root
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Unknown API routes, then errors raised before a route ran (bad JSON, oversized uploads)
+app.use('/api', (req, res) => {
+  sendError(res, new ApiError(404, 'not_found', `No endpoint ${req.method} ${req.path}`));
+});
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🎵 Artist Explorer server running on http://localhost:${PORT}`);
@@ -0,0 +1,194 @@
+// Offline import of Spotify data: the account data export's streaming history
+// (StreamingHistory*.json, or the extended Streaming_History_Audio_*.json) and
+// saved Web API responses from the "artist", "several artists" and "related
+// artists" endpoints. Nothing here talks to Spotify; it only reads files that
+// were downloaded already.
+const db = require('./database');
+
+// Spotify IDs are 22 base-62 characters, e.g. in "related-4Z8W4fKeB5YxbusRsdQVPb.json"
+const SPOTIFY_ID_PATTERN = /(?:^|[^0-9A-Za-z])([0-9A-Za-z]{22})(?![0-9A-Za-z])/;
+
+// Import order: artist objects first so related artists and plays can find them
+const KIND_ORDER = ['artist', 'artists', 'streaming-history', 'extended-history'];
+
+// Work out what kind of Spotify file some parsed JSON is
+function detectSpotifyFile(data) {
+  if (Array.isArray(data)) {
+    const sample = data.find(entry => entry && typeof entry === 'object');
+    if (!sample || ('artistName' in sample && 'msPlayed' in sample)) return 'streaming-history';
+    if ('ms_played' in sample && 'ts' in sample) return 'extended-history';
+    if (sample.type === 'artist') return 'artists';
+    return null;
+  }
+
+  if (data && typeof data === 'object') {
+    if (data.type === 'artist' && data.id && data.name) return 'artist';
+    if (Array.isArray(data.artists) && data.artists.every(artist => artist && artist.type === 'artist')) return 'artists';
+  }
+
+  return null;
+}
+
+// Normalize a streaming history entry from either export format; returns null
+// for entries without an artist (podcast episodes, audiobooks)
+function readStream(entry, kind) {
+  if (kind === 'extended-history') {
+    if (!entry.master_metadata_album_artist_name) return null;
+    return {
+      artistName: entry.master_metadata_album_artist_name,
+      track: entry.master_metadata_track_name || '',
+      playedAt: String(entry.ts).replace('T', ' ').replace(/Z$/, ''),
+      msPlayed: Number(entry.ms_played) || 0
+    };
+  }
+
+  if (!entry.artistName || !entry.endTime) return null;
+  return {
+    artistName: entry.artistName,
+    track: entry.trackName || '',
+    // endTime has minute precision ("2023-04-01 18:22")
+    playedAt: entry.endTime.length === 16 ? `${entry.endTime}:00` : entry.endTime,
+    msPlayed: Number(entry.msPlayed) || 0
+  };
+}
+
+// Import files ([{ name, text }] or [{ name, data }] with parsed JSON) in one
+// transaction. Options:
+//   seed      artist (ID, name or Spotify ID) that "artists" responses are
+//             related to; otherwise a Spotify ID in the file name is used, and
+//             without either the artists are imported unlinked
+//   minPlays  plays (of 30s or more) an artist needs before streaming history
+//             creates it; plays for artists already in the graph always count
+function importSpotifyFiles(files, options = {}) {
+  const minPlays = options.minPlays ?? 1;
+  const report = {
+    files: [],
+    artists: { created: 0, existing: 0, belowMinPlays: 0 },
+    relationships: { created: 0, existing: 0 },
+    plays: { added: 0, duplicates: 0 },
+    errors: []
+  };
+
+  const parsed = [];
+  for (const file of files) {
+    try {
+      const data = file.data !== undefined ? file.data : JSON.parse(file.text);
+      const kind = detectSpotifyFile(data);
+      if (!kind) {
+        throw new Error('Not a Spotify streaming history or Web API artist response');
+      }
+      parsed.push({ name: file.name, data, kind });
+    } catch (error) {
+      report.errors.push({ file: file.name, error: error.message });
+    }
+  }
+  parsed.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind));
+
+  const counted = new Set();
+  // Count each artist once per import, however many files mention it
+  const countArtist = (artist, created) => {
+    if (!counted.has(artist.id)) {
+      counted.add(artist.id);
+      report.artists[created ? 'created' : 'existing']++;
+    }
+  };
+
+  // Find or create the artist for a Web API artist object, by Spotify ID then name
+  const upsertArtist = data => {
+    let artist = db.getArtistBySpotifyId(data.id) || db.findArtistByName(data.name);
+    const created = !artist;
+    if (created) {
+      artist = db.getOrCreateArtist(data.name);
+    }
+    if (!artist.spotify_id) {
+      db.setArtistSpotifyId(artist.id, data.id);
+    }
+    for (const genre of data.genres || []) {
+      db.addArtistTag(artist.id, db.getOrCreateTag(genre).id);
+    }
+    countArtist(artist, created);
+    return artist;
+  };
+
+  db.transaction(() => {
+    const streamsByArtist = new Map();
+
+    for (const { name, data, kind } of parsed) {
+      const summary = { file: name, kind };
+
+      if (kind === 'artist') {
+        upsertArtist(data);
+        summary.artists = 1;
+      } else if (kind === 'artists') {
+        const list = Array.isArray(data) ? data : data.artists;
+        const seedMatch = !options.seed && name ? SPOTIFY_ID_PATTERN.exec(name) : null;
+        const seed = options.seed
+          ? db.getArtistBySpotifyId(String(options.seed).trim()) || db.resolveArtist(options.seed)
+          : seedMatch && db.getArtistBySpotifyId(seedMatch[1]);
+
+        if (options.seed && !seed) {
+          report.errors.push({ file: name, error: `Seed artist "${options.seed}" not found` });
+          continue;
+        }
+
+        for (const item of list) {
+          const artist = upsertArtist(item);
+          if (!seed || artist.id === seed.id) continue;
+
+          if (db.getRelationship(seed.id, artist.id)) {
+            report.relationships.existing++;
+          } else {
+            db.addRelationship(seed.id, artist.id, { type: 'similar', source: 'spotify' });
+            report.relationships.created++;
+          }
+        }
+        summary.artists = list.length;
+        summary.relatedTo = seed ? seed.name : null;
+      } else {
+        // Group streams by artist across all history files, so minPlays is
+        // checked against the whole history before anyone is created
+        let streamCount = 0;
+        for (const entry of data) {
+          const stream = entry && readStream(entry, kind);
+          if (!stream) continue;
+          if (!streamsByArtist.has(stream.artistName)) streamsByArtist.set(stream.artistName, []);
+          streamsByArtist.get(stream.artistName).push(stream);
+          streamCount++;
+        }
+        summary.streams = streamCount;
+      }
+
+      report.files.push(summary);
+    }
+
+    for (const [artistName, streams] of streamsByArtist) {
+      let artist = db.findArtistByName(artistName);
+      const plays = streams.filter(stream => stream.msPlayed >= db.MIN_PLAY_MS).length;
+      if (!artist && plays < minPlays) {
+        report.artists.belowMinPlays++;
+        continue;
+      }
+
+      const created = !artist;
+      if (created) {
+        artist = db.getOrCreateArtist(artistName);
+      }
+      countArtist(artist, created);
+
+      for (const stream of streams) {
+        if (db.addPlay(artist.id, stream)) {
+          report.plays.added++;
+        } else {
+          report.plays.duplicates++;
+        }
+      }
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  detectSpotifyFile,
+  importSpotifyFiles
+};
@@ -0,0 +1,266 @@
+// Request validation and API errors. Routes describe their params, query and
+// body as schemas of field rules; validate() checks and coerces them, and
+// every error response has the same shape:
+//   { error: { code, message, fields } }
+// where fields maps each offending field (e.g. "rating" or
+// "relatedArtists.2.weight") to what is wrong with it.
+
+// An error with an HTTP status, a machine-readable code and optional field errors
+class ApiError extends Error {
+  constructor(status, code, message, fields = {}, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    // Extra top-level properties for the response body (e.g. an import report)
+    this.extra = extra;
+  }
+}
+
+// 400 for a request that failed validation
+function badRequest(message, fields = {}, extra = {}) {
+  return new ApiError(400, 'validation_failed', message, fields, extra);
+}
+
+// 404 for a missing resource, e.g. notFound('Artist')
+function notFound(resource) {
+  return new ApiError(404, 'not_found', `${resource} not found`);
+}
+
+// 409 for a request that conflicts with existing data
+function conflict(message, fields = {}) {
+  return new ApiError(409, 'conflict', message, fields);
+}
+
+// Check one value against a rule. Rules have a `type` (id, integer, number,
+// string, stringList, boolean, enum, array or object) plus optional required, nullable,
+// default, min, max, maxLength, pattern, nonEmpty, values, items and fields. Returns
+// { value } with the coerced value, or { error } with a message.
+function checkValue(rule, value, name) {
+  const label = rule.label || name;
+
+  if (value === undefined || (value === '' && rule.type !== 'string')) {
+    if (rule.required) return { error: `${label} is required` };
+    return { value: rule.default };
+  }
+  if (value === null) {
+    if (rule.nullable) return { value: null };
+    return { error: `${label} cannot be null` };
+  }
+
+  switch (rule.type) {
+    case 'id':
+    case 'integer': {
+      const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+      const min = rule.type === 'id' ? 1 : rule.min;
+      if (!Number.isInteger(number)) {
+        return { error: rule.type === 'id' ? `${label} must be a numeric ID` : `${label} must be a whole number` };
+      }
+      if ((min !== undefined && number < min) || (rule.max !== undefined && number > rule.max)) {
+        return { error: rule.max !== undefined
+          ? `${label} must be a whole number from ${min} to ${rule.max}`
+          : `${label} must be ${min} or more` };
+      }
+      return { value: number };
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${label} must be a number` };
+      }
+      if ((rule.min !== undefined && number < rule.min) || (rule.exclusiveMin !== undefined && number <= rule.exclusiveMin)) {
+        return { error: rule.message || `${label} is too small` };
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return { error: rule.message || `${label} is too large` };
+      }
+      return { value: number };
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return { error: `${label} must be text` };
+      }
+      const text = rule.trim === false ? value : value.trim();
+      if (!text) {
+        if (rule.required) return { error: `${label} is required` };
+        if (rule.nonEmpty) return { error: `${label} cannot be empty` };
+        return { value: rule.nullable ? null : rule.default };
+      }
+      if (rule.maxLength !== undefined && text.length > rule.maxLength) {
+        return { error: `${label} must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(text)) {
+        return { error: rule.message || `${label} is not valid` };
+      }
+      return { value: text };
+    }
+
+    // A single string or a list of strings, e.g. tags as "jazz; bebop" or ["jazz"]
+    case 'stringList': {
+      if (typeof value === 'string') return { value };
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        return { error: `${label} must be text or a list of text` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      if (value === true || value === 1 || value === 'true' || value === '1') return { value: true };
+      if (value === false || value === 0 || value === 'false' || value === '0') return { value: false };
+      return { error: `${label} must be true or false` };
+    }
+
+    case 'enum': {
+      const values = typeof rule.values === 'function' ? rule.values() : rule.values;
+      if (!values.includes(value)) {
+        return { error: `Unknown ${label} "${value}" (expected one of: ${values.join(', ')})` };
+      }
+      return { value };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return { error: `${label} must be a list` };
+      }
+      return { value };
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `${label} must be an object` };
+      }
+      return { value };
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+// Check an object against a schema of { field: rule }. Array items and nested
+// objects are checked too, with paths like "relatedArtists.2.weight". Returns
+// the coerced values and a { path: message } map of field errors.
+function checkFields(schema, source, prefix = '') {
+  const values = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const path = prefix + name;
+    const result = checkValue(rule, source ? source[name] : undefined, name);
+
+    if (result.error) {
+      fields[path] = result.error;
+      continue;
+    }
+
+    let value = result.value;
+    if (rule.type === 'array' && rule.items && Array.isArray(value)) {
+      value = value.map((item, index) => {
+        if (!item || typeof item !== 'object') {
+          fields[`${path}.${index}`] = `${path}.${index} must be an object`;
+          return item;
+        }
+        const nested = checkFields(rule.items, item, `${path}.${index}.`);
+        Object.assign(fields, nested.fields);
+        return { ...item, ...nested.values };
+      });
+    } else if (rule.type === 'object' && rule.fields && value) {
+      const nested = checkFields(rule.fields, value, `${path}.`);
+      Object.assign(fields, nested.fields);
+      value = { ...value, ...nested.values };
+    }
+
+    // Set even when undefined, so blank originals don't survive the merge
+    values[name] = value;
+  }
+
+  return { values, fields };
+}
+
+// 400 listing every bad field, with the first problem as the message
+function validationFailed(fields) {
+  const messages = Object.values(fields);
+  const more = messages.length > 1 ? ` (and ${messages.length - 1} more)` : '';
+  return badRequest(messages[0] + more, fields);
+}
+
+// Check values against a schema, throwing a 400 ApiError if any field is bad;
+// returns the coerced values merged over the originals
+function check(schema, source) {
+  const { values, fields } = checkFields(schema, source);
+
+  if (Object.keys(fields).length > 0) {
+    throw validationFailed(fields);
+  }
+  return { ...source, ...values };
+}
+
+// Express middleware validating req.params, req.query and req.body against
+// { params, query, body } schemas and replacing them with the coerced values
+function validate(schemas) {
+  return (req, res, next) => {
+    const values = {};
+    const fields = {};
+
+    for (const part of ['params', 'query', 'body']) {
+      if (!schemas[part]) continue;
+
+      const source = req[part] && typeof req[part] === 'object' ? req[part] : {};
+      const checked = checkFields(schemas[part], source);
+      Object.assign(fields, checked.fields);
+      values[part] = { ...source, ...checked.values };
+    }
+
+    if (Object.keys(fields).length > 0) {
+      return sendError(res, validationFailed(fields));
+    }
+
+    Object.assign(req, values);
+    next();
+  };
+}
+
+// Send an error in the standard shape. ApiErrors keep their status; SQLite
+// constraint failures become 409s; anything else is a 500.
+function sendError(res, error) {
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      ...error.extra,
+      error: { code: error.code, message: error.message, fields: error.fields }
+    });
+  }
+
+  if (/UNIQUE constraint failed/.test(error.message)) {
+    return res.status(409).json({ error: { code: 'conflict', message: error.message, fields: {} } });
+  }
+
+  res.status(500).json({ error: { code: 'internal_error', message: error.message, fields: {} } });
+}
+
+// Express error handler for failures before a route runs: malformed JSON,
+// oversized bodies and uploads
+function errorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, new ApiError(400, 'invalid_json', `Request body is not valid JSON: ${error.message}`));
+  }
+  if (error.type === 'entity.too.large' || error.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, new ApiError(413, 'too_large', 'Request body is too large'));
+  }
+  if (error.name === 'MulterError') {
+    return sendError(res, badRequest(error.message, error.field ? { [error.field]: error.message } : {}));
+  }
+  sendError(res, error);
+}
+
+module.exports = {
+  ApiError,
+  badRequest,
+  notFound,
+  conflict,
+  check,
+  validate,
+  sendError,
+  errorHandler
+};